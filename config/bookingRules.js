@@ -0,0 +1,17 @@
+// config/bookingRules.js
+// Platform-wide guest reputation rules for instant booking (env overridable).
+// score = no-shows + late cancels * LATE_CANCEL_WEIGHT; a threshold of 0 turns the rule off.
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) ? n : fallback;
+};
+
+const bookingRules = {
+  lateCancelWeight: num(process.env.LATE_CANCEL_WEIGHT, 0.5),
+  depositThreshold: num(process.env.NO_SHOW_DEPOSIT_THRESHOLD, 2), // score at which a deposit is required
+  depositAmount: num(process.env.NO_SHOW_DEPOSIT_AMOUNT, 25),
+  blockThreshold: num(process.env.NO_SHOW_BLOCK_THRESHOLD, 4), // score at which bookings need owner approval
+};
+
+export default bookingRules;
@@ -5,6 +5,19 @@ import Review from "../models/Review.js";
 import User from "../models/User.js";
 import mongoose from "mongoose";
 import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability, reservationWindow, tableCapacity } from "../services/availability.js";
+import { withRestaurantLock } from "../services/bookingLock.js";
+import { freedSlot, triggerWaitlistPromotion } from "../services/waitlist.js";
+import { cancelReservationRecord, changeReservationStatus } from "../services/reservations.js";
+import { performBulkAction } from "../services/bulkReservations.js";
+import { buildReservationFilter, EXPORT_COLUMNS, loadExportRows } from "../services/reservationQueries.js";
+import { buildRevenueReport, parseReportRange, REPORT_COLUMNS } from "../services/revenueReports.js";
+import { toCsv } from "../utils/csv.js";
+import { canTransition } from "../utils/reservationStatus.js";
+import { triggerReservationNotification } from "../services/notifications/index.js";
+import { refreshRestaurantRating } from "../services/ratings.js";
+import { isBookableSlot, normalizeTime } from "../utils/hours.js";
+import { normalizeDate } from "../utils/time.js";
 
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
@@ -37,14 +50,18 @@ export const updateRestaurantByAdmin = async (req, res) => {
     const restaurant = await Restaurant.findById(req.params.id);
     if (!restaurant) return res.status(404).json({ message: "Not found" });
 
-    const oldCapacity = restaurant.tablesPerSlot ?? restaurant.capacity ?? null;
-    Object.assign(restaurant, req.body);
+    // table inventory or legacy tablesPerSlot, same as the owner's update
+    const oldCapacity = tableCapacity(restaurant);
+    const { rating, ...changes } = req.body; // rating is maintained from reviews (services/ratings.js)
+    Object.assign(restaurant, changes);
     await restaurant.save();
 
-    const newCapacity = restaurant.tablesPerSlot ?? restaurant.capacity ?? oldCapacity;
-    if (oldCapacity !== null && newCapacity !== oldCapacity) {
-      safeEmit("restaurantCapacityChanged", { restaurantId: restaurant._id.toString(), capacity: newCapacity });
-      safeEmit("restaurantCapacityChanged", { restaurantId: restaurant._id.toString(), capacity: newCapacity }, `restaurant_${restaurant._id}`);
+    const newCapacity = tableCapacity(restaurant);
+    if (newCapacity !== oldCapacity) {
+      const payload = { restaurantId: restaurant._id.toString(), capacity: newCapacity };
+      safeEmit("restaurantCapacityChanged", payload);
+      safeEmit("restaurantCapacityChanged", payload, `restaurant_${restaurant._id}`);
+      if (newCapacity > oldCapacity) triggerWaitlistPromotion(restaurant._id);
     }
 
     return res.json(restaurant);
@@ -78,8 +95,10 @@ export const deleteRestaurantByAdmin = async (req, res) => {
 export const getAllReservations = async (req, res) => {
   try {
     const reservations = await Reservation.find()
+      .sort({ startAt: -1 })
       .populate("user", "name email")
-      .populate("restaurant", "name location");
+      .populate("restaurant", "name location")
+      .populate("statusHistory.by", "name role");
     return res.json(reservations);
   } catch (err) {
     console.error("getAllReservations", err);
@@ -87,23 +106,37 @@ export const getAllReservations = async (req, res) => {
   }
 };
 
+// export any restaurant's reservations: ?restaurant=&from=&to=&status=&format=csv|json
+export const exportReservationsByAdmin = async (req, res) => {
+  try {
+    const { filter, error, status } = await buildReservationFilter(null, req.query);
+    if (error) return res.status(status || 400).json({ message: error });
+
+    const rows = await loadExportRows(filter);
+    if (req.query.format === "json") return res.json(rows);
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="reservations-${req.query.from || "all"}.csv"`);
+    return res.send(toCsv(rows, EXPORT_COLUMNS));
+  } catch (err) {
+    console.error("exportReservationsByAdmin", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
 export const cancelReservationByAdmin = async (req, res) => {
   try {
     if (!isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid id" });
     const reservation = await Reservation.findById(req.params.id);
     if (!reservation) return res.status(404).json({ message: "Not found" });
 
-    reservation.status = "cancelled";
-    await reservation.save();
-
-    // emit event for reservation cancelled
-    safeEmit("reservationCancelled", { reservationId: reservation._id, restaurant: reservation.restaurant });
-    safeEmit("reservationCancelled", reservation, `restaurant_${reservation.restaurant}`);
+    // emits reservationCancelled, notifies the guest and offers the tables to the waitlist
+    await cancelReservationRecord(reservation, { by: req.user._id, note: req.body?.reason });
 
     return res.json({ message: "Reservation cancelled", reservation });
   } catch (err) {
     console.error("cancelReservationByAdmin", err);
-    return res.status(500).json({ message: "Server error" });
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
   }
 };
 
@@ -114,20 +147,107 @@ export const updateReservationByAdmin = async (req, res) => {
     if (!reservation) return res.status(404).json({ message: "Not found" });
 
     // allow admin to change status or date/time/partySize
-    const { status, date, time, partySize } = req.body;
-    if (status) reservation.status = status;
-    if (date) reservation.date = date;
-    if (time) reservation.time = time;
-    if (partySize) reservation.partySize = partySize;
-    await reservation.save();
+    const { status, note, partySize } = req.body;
+    const date = req.body.date ? normalizeDate(req.body.date) || req.body.date : undefined;
+    const time = req.body.time ? normalizeTime(req.body.time) || req.body.time : undefined;
+    if (partySize !== undefined && (!Number.isInteger(Number(partySize)) || Number(partySize) < 1)) {
+      return res.status(400).json({ message: "Invalid party size" });
+    }
+    // checked up front so a move is not saved when the status change would be refused
+    if (status && !canTransition(reservation.status, status)) {
+      return res.status(400).json({ message: `Cannot change status from ${reservation.status} to ${status}` });
+    }
+
+    // moving or resizing a booking needs fresh tables at the target slot
+    if (date || time || partySize) {
+      const restaurant = await Restaurant.findById(reservation.restaurant);
+      if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+      if ((date || time) && !isBookableSlot(restaurant, date || reservation.date, time || reservation.time)) {
+        return res.status(400).json({ message: "Requested time is not an available slot" });
+      }
+      const previousSlot = freedSlot(reservation);
 
-    safeEmit("reservationUpdated", reservation);
-    safeEmit("reservationUpdated", reservation, `restaurant_${reservation.restaurant}`);
+      const saved = await withRestaurantLock(restaurant._id, async () => {
+        const slot = await checkSlotAvailability(restaurant, {
+          date: date || reservation.date,
+          time: time || reservation.time,
+          partySize: Number(partySize || reservation.partySize),
+          area: reservation.area,
+          excludeId: reservation._id,
+        });
+        if (!slot.canSeat) return null;
+
+        reservation.tables = slot.tables;
+        if (date) reservation.date = date;
+        if (time) reservation.time = time;
+        if (partySize) reservation.partySize = Number(partySize);
+        // the window depends on the party size (longer turn times for larger parties)
+        Object.assign(
+          reservation,
+          reservationWindow(restaurant, reservation.date, reservation.time, reservation.partySize)
+        );
+        return reservation.save();
+      });
+      if (!saved) return res.status(409).json({ message: "Requested slot is fully booked" });
+      triggerWaitlistPromotion(restaurant._id, previousSlot);
+
+      safeEmit("reservationUpdated", reservation);
+      safeEmit("reservationUpdated", reservation, `restaurant_${reservation.restaurant}`);
+      triggerReservationNotification(reservation, "rescheduled");
+    }
+
+    // same lifecycle as owner / admin cancels: history, refunds, notification, waitlist, guest stats
+    if (status === "cancelled") {
+      await cancelReservationRecord(reservation, { by: req.user._id, note });
+    } else if (status) {
+      await changeReservationStatus(reservation, status, { by: req.user._id, note });
+    }
+
+    await reservation.populate("statusHistory.by", "name role");
 
     return res.json({ message: "Reservation updated", reservation });
   } catch (err) {
     console.error("updateReservationByAdmin", err);
-    return res.status(500).json({ message: "Server error" });
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
+  }
+};
+
+// bulk confirm / cancel / move across any restaurant (same body as POST /api/reservations/bulk)
+export const bulkUpdateReservationsByAdmin = async (req, res) => {
+  try {
+    const report = await performBulkAction(null, req.body, req.user._id);
+    return res.json(report);
+  } catch (err) {
+    console.error("bulkUpdateReservationsByAdmin", err);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
+  }
+};
+
+// --- Reports ---
+// platform revenue: ?from=&to=&interval=day|week|month&groupBy=restaurant&restaurant=&format=csv
+// rows are platform-wide per period unless groupBy=restaurant; totals are per currency
+export const getRevenueReportByAdmin = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    if (req.query.restaurant && !isValidObjectId(req.query.restaurant)) {
+      return res.status(400).json({ message: "Invalid restaurant id" });
+    }
+    const byRestaurant = req.query.groupBy === "restaurant";
+    const report = await buildRevenueReport({
+      restaurantIds: req.query.restaurant ? [req.query.restaurant] : null,
+      byRestaurant,
+      ...range,
+    });
+
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="platform-revenue-${range.from}-${range.to}.csv"`);
+      return res.send(toCsv(report.rows, byRestaurant ? REPORT_COLUMNS : REPORT_COLUMNS.filter((c) => c !== "restaurant")));
+    }
+    return res.json(report);
+  } catch (err) {
+    console.error("getRevenueReportByAdmin", err);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Server error" });
   }
 };
 
@@ -147,7 +267,8 @@ export const getAllReviews = async (req, res) => {
 export const deleteReviewByAdmin = async (req, res) => {
   try {
     if (!isValidObjectId(req.params.id)) return res.status(400).json({ message: "Invalid id" });
-    await Review.findByIdAndDelete(req.params.id);
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (review) await refreshRestaurantRating(review.restaurant);
     safeEmit("reviewDeleted", { reviewId: req.params.id });
     return res.json({ message: "Review deleted" });
   } catch (err) {
@@ -1,6 +1,7 @@
 import User from "../models/User.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import { confirmEmail, sendVerificationEmail } from "../services/emailVerification.js";
 
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "7d" });
@@ -9,16 +10,19 @@ const generateToken = (id) => {
 // Register
 export const registerUser = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, role, phone } = req.body;
     const userExists = await User.findOne({ email });
     if (userExists) return res.status(400).json({ message: "User already exists" });
 
-    const user = await User.create({ name, email, password, role });
+    const user = await User.create({ name, email, password, role, phone });
+    // phone / walk-in bookings under this email are linked once the address is confirmed
+    await sendVerificationEmail(user);
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      emailVerified: false,
       token: generateToken(user._id)
     });
   } catch (err) {
@@ -37,6 +41,7 @@ export const loginUser = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
         token: generateToken(user._id)
       });
     }else {
@@ -46,3 +51,24 @@ export const loginUser = async (req, res) => {
     res.status(500).json({ message: err.message });
   }
 };
+
+// Verify email (link from the verification email): { token }
+export const verifyEmail = async (req, res) => {
+  try {
+    const { user, linked } = await confirmEmail(req.body?.token);
+    res.json({ message: "Email verified", emailVerified: true, email: user.email, linkedReservations: linked });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// Send the verification email again
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) return res.status(400).json({ message: "Email is already verified" });
+    await sendVerificationEmail(req.user);
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
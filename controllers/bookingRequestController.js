@@ -0,0 +1,186 @@
+// controllers/bookingRequestController.js
+import mongoose from "mongoose";
+import BookingRequest from "../models/BookingRequest.js";
+import Restaurant from "../models/Restaurant.js";
+import {
+  acceptBookingRequest,
+  acceptCounterOffer,
+  closeBookingRequest,
+  counterBookingRequest,
+  submitBookingRequest,
+} from "../services/bookingRequests.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Helper: load a request and work out whether the caller is its guest or runs the restaurant
+ */
+const loadRequest = async (id, user) => {
+  const request = await BookingRequest.findById(id);
+  if (!request) return {};
+  const restaurant = await Restaurant.findById(request.restaurant).select("owner");
+  const isGuest = request.user.toString() === user._id.toString();
+  const isStaff = user.role === "admin" || restaurant?.owner?.toString() === user._id.toString();
+  return { request, isGuest, isStaff };
+};
+
+/**
+ * POST /api/booking-requests
+ * body: { restaurant, partySize, preferredTimes: [{ date, time }], kind?: "large_party" | "private_dining", area?, notes? }
+ */
+export const createBookingRequest = async (req, res) => {
+  try {
+    const { restaurant: restaurantId } = req.body;
+    if (!isValidObjectId(restaurantId)) return res.status(400).json({ message: "Invalid restaurant id" });
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const request = await submitBookingRequest(restaurant, req.user._id, req.body);
+    return res.status(201).json(request);
+  } catch (err) {
+    console.error("createBookingRequest error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/booking-requests/me
+ */
+export const getMyBookingRequests = async (req, res) => {
+  try {
+    const requests = await BookingRequest.find({ user: req.user._id })
+      .populate("restaurant", "name location")
+      .populate("reservation", "date time status depositAmount")
+      .sort({ createdAt: -1 });
+    return res.json(requests);
+  } catch (err) {
+    console.error("getMyBookingRequests error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/booking-requests/restaurant/:restaurantId?status=pending,countered
+ * owner or admin
+ */
+export const getRestaurantBookingRequests = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    if (!isValidObjectId(restaurantId)) return res.status(400).json({ message: "Invalid restaurant id" });
+
+    const restaurant = await Restaurant.findById(restaurantId).select("owner");
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const isRestaurantOwner = restaurant.owner?.toString() === req.user._id.toString();
+    if (!isRestaurantOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const filter = { restaurant: restaurantId };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(",").map((s) => s.trim()) };
+
+    const requests = await BookingRequest.find(filter)
+      .populate("user", "name email phone reputation")
+      .populate("reservation", "date time status depositAmount")
+      .sort({ createdAt: -1 });
+    return res.json(requests);
+  } catch (err) {
+    console.error("getRestaurantBookingRequests error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/booking-requests/:id/accept
+ * owner: body { date?, time?, depositAmount?, override?, note? } (defaults to the first preferred time)
+ * guest: accepts the owner's counter-offer (no body)
+ */
+export const acceptBookingRequestHandler = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid request id" });
+
+    const { request, isGuest, isStaff } = await loadRequest(id, req.user);
+    if (!request) return res.status(404).json({ message: "Booking request not found" });
+
+    let result;
+    if (isStaff) {
+      const { date, time, depositAmount, override, note } = req.body;
+      result = await acceptBookingRequest(request, { date, time, depositAmount, override, note, by: req.user._id });
+    } else if (isGuest) {
+      result = await acceptCounterOffer(request, req.user._id);
+    } else {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    return res.json(result);
+  } catch (err) {
+    console.error("acceptBookingRequest error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/booking-requests/:id/counter
+ * owner or admin; body { date, time, note?, depositAmount? }
+ */
+export const counterBookingRequestHandler = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid request id" });
+
+    const { request, isStaff } = await loadRequest(id, req.user);
+    if (!request) return res.status(404).json({ message: "Booking request not found" });
+    if (!isStaff) return res.status(403).json({ message: "Not authorized" });
+
+    const { date, time, note, depositAmount } = req.body;
+    const updated = await counterBookingRequest(request, { date, time, note, depositAmount, by: req.user._id });
+    return res.json(updated);
+  } catch (err) {
+    console.error("counterBookingRequest error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/booking-requests/:id/decline
+ * owner or admin; body { note? }
+ */
+export const declineBookingRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid request id" });
+
+    const { request, isStaff } = await loadRequest(id, req.user);
+    if (!request) return res.status(404).json({ message: "Booking request not found" });
+    if (!isStaff) return res.status(403).json({ message: "Not authorized" });
+
+    const updated = await closeBookingRequest(request, "declined", { note: req.body?.note, by: req.user._id });
+    return res.json(updated);
+  } catch (err) {
+    console.error("declineBookingRequest error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/booking-requests/:id/cancel
+ * guest withdraws (also cancels a reservation still waiting on its deposit)
+ */
+export const cancelBookingRequest = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid request id" });
+
+    const { request, isGuest } = await loadRequest(id, req.user);
+    if (!request) return res.status(404).json({ message: "Booking request not found" });
+    if (!isGuest && req.user.role !== "admin") return res.status(403).json({ message: "Not authorized" });
+
+    const updated = await closeBookingRequest(request, "cancelled", { note: req.body?.note, by: req.user._id });
+    return res.json(updated);
+  } catch (err) {
+    console.error("cancelBookingRequest error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
@@ -0,0 +1,198 @@
+// controllers/calendarController.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import User from "../models/User.js";
+import { buildReservationFilter } from "../services/reservationQueries.js";
+import { addDays } from "../utils/hours.js";
+import { buildCalendar, reservationToEvent } from "../utils/ical.js";
+import { restaurantTimeZone, todayIn } from "../utils/time.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const FEED_LIMIT = 2000; // events per feed
+const FEED_PAST_DAYS = 30; // how far back feeds reach by default
+
+const newToken = () => crypto.randomBytes(24).toString("hex");
+
+const feedUrl = (req, path) => `${process.env.API_URL || `${req.protocol}://${req.get("host")}`}/api/calendar/feeds/${path}`;
+
+const sendCalendar = (res, text, filename) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.send(text);
+};
+
+/**
+ * Helper: can the logged-in user manage this restaurant's calendar?
+ */
+const loadOwnedRestaurant = async (id, user) => {
+  const restaurant = await Restaurant.findById(id).select("+calendarToken owner name timezone");
+  if (!restaurant) return { status: 404, message: "Restaurant not found" };
+  const isRestaurantOwner = restaurant.owner?.toString() === user._id.toString();
+  if (!isRestaurantOwner && user.role !== "admin") return { status: 403, message: "Not authorized" };
+  return { restaurant };
+};
+
+/**
+ * GET /api/calendar/reservations/:id.ics
+ * single reservation download; reservation user, restaurant owner or admin
+ */
+export const downloadReservationIcs = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid reservation id" });
+
+    const reservation = await Reservation.findById(id)
+      .populate("user", "name")
+      .populate("restaurant", "name location owner");
+    if (!reservation) return res.status(404).json({ message: "Reservation not found" });
+
+    const userId = req.user._id.toString();
+    const isReservationUser = reservation.user?._id?.toString() === userId;
+    const isRestaurantOwner = reservation.restaurant?.owner?.toString() === userId;
+    if (!isReservationUser && !isRestaurantOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const event = reservationToEvent(reservation, { forOwner: !isReservationUser });
+    if (!event) return res.status(400).json({ message: "Reservation has no start time" });
+
+    return sendCalendar(res, buildCalendar([event]), `reservation-${reservation._id}.ics`);
+  } catch (err) {
+    console.error("downloadReservationIcs error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/calendar/me
+ * subscribable feed URL for the logged-in user's reservations (token created on first use)
+ */
+export const getMyCalendarLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+calendarToken");
+    if (!user.calendarToken) {
+      user.calendarToken = newToken();
+      await user.save();
+    }
+    return res.json({ url: feedUrl(req, `users/${user.calendarToken}.ics`) });
+  } catch (err) {
+    console.error("getMyCalendarLink error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * POST /api/calendar/me/rotate
+ * invalidates the old feed URL
+ */
+export const rotateMyCalendarLink = async (req, res) => {
+  try {
+    const token = newToken();
+    await User.updateOne({ _id: req.user._id }, { calendarToken: token });
+    return res.json({ url: feedUrl(req, `users/${token}.ics`) });
+  } catch (err) {
+    console.error("rotateMyCalendarLink error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/calendar/restaurants/:id
+ * owner or admin; feed URL for the restaurant's bookings
+ */
+export const getRestaurantCalendarLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid restaurant id" });
+
+    const { restaurant, status, message } = await loadOwnedRestaurant(id, req.user);
+    if (!restaurant) return res.status(status).json({ message });
+
+    if (!restaurant.calendarToken) {
+      restaurant.calendarToken = newToken();
+      await restaurant.save();
+    }
+    return res.json({ url: feedUrl(req, `restaurants/${restaurant.calendarToken}.ics`) });
+  } catch (err) {
+    console.error("getRestaurantCalendarLink error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * POST /api/calendar/restaurants/:id/rotate
+ */
+export const rotateRestaurantCalendarLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid restaurant id" });
+
+    const { restaurant, status, message } = await loadOwnedRestaurant(id, req.user);
+    if (!restaurant) return res.status(status).json({ message });
+
+    const token = newToken();
+    await Restaurant.updateOne({ _id: restaurant._id }, { calendarToken: token });
+    return res.json({ url: feedUrl(req, `restaurants/${token}.ics`) });
+  } catch (err) {
+    console.error("rotateRestaurantCalendarLink error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/calendar/feeds/users/:token.ics
+ * public (token is the secret); recent and upcoming reservations, cancelled ones included so clients drop them
+ */
+export const getUserFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token }).select("_id name");
+    if (!user) return res.status(404).json({ message: "Calendar not found" });
+
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const reservations = await Reservation.find({ user: user._id, startAt: { $gte: since } })
+      .populate("restaurant", "name location")
+      .sort({ startAt: 1 })
+      .limit(FEED_LIMIT);
+
+    const events = reservations.map((r) => reservationToEvent(r));
+    return sendCalendar(res, buildCalendar(events, { name: "My reservations" }));
+  } catch (err) {
+    console.error("getUserFeed error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/calendar/feeds/restaurants/:token.ics?from=&to=&status=
+ * public (token is the secret); same filters as GET /api/reservations/owner,
+ * from defaults to 30 days ago in the restaurant's timezone
+ */
+export const getRestaurantFeed = async (req, res) => {
+  try {
+    const restaurant = await Restaurant.findOne({ calendarToken: req.params.token }).select("_id name timezone");
+    if (!restaurant) return res.status(404).json({ message: "Calendar not found" });
+
+    const query = {
+      ...req.query,
+      restaurant: String(restaurant._id),
+      from: req.query.from || addDays(todayIn(restaurantTimeZone(restaurant)), -FEED_PAST_DAYS),
+    };
+    const { filter, error, status } = await buildReservationFilter([restaurant._id], query);
+    if (error) return res.status(status || 400).json({ message: error });
+
+    const reservations = await Reservation.find(filter)
+      .populate("user", "name")
+      .populate("restaurant", "name location")
+      .sort({ startAt: 1 })
+      .limit(FEED_LIMIT);
+
+    const events = reservations.map((r) => reservationToEvent(r, { forOwner: true }));
+    return sendCalendar(res, buildCalendar(events, { name: `${restaurant.name} bookings` }));
+  } catch (err) {
+    console.error("getRestaurantFeed error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
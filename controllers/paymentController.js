@@ -1,61 +1,312 @@
-import Stripe from "stripe";
 import Payment from "../models/Payment.js";
+import mongoose from "mongoose";
 import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import { getPaymentProvider } from "../services/payments/index.js";
+import { applyCheckout, handlePaymentEvent } from "../services/paymentLifecycle.js";
+import { refundPayment, refundableAmount } from "../services/refunds.js";
+import { computeDeposit } from "../utils/deposits.js";
+import { normalizeDate } from "../utils/time.js";
 
-const stripe = new Stripe(process.env.STRIPE_SECRET);
+// Provider checkout for a Payment record; the record id travels in the metadata
+// so webhooks can find it even before paymentId is saved.
+const startCheckout = async (payment, productName) => {
+  const metadata = { paymentRecordId: String(payment._id), reservationId: String(payment.reservation || "") };
+  const checkout = await getPaymentProvider().createCheckout({
+    amount: payment.amount,
+    currency: payment.currency || "usd",
+    productName,
+    metadata,
+    successUrl: `${process.env.FRONTEND_URL}/payment-success`,
+    cancelUrl: `${process.env.FRONTEND_URL}/payment-cancel`,
+  });
 
-// Create checkout session
+  payment.paymentId = checkout.id;
+  payment.checkoutUrl = checkout.url;
+  await payment.save();
+  return checkout;
+};
+
+// reservations a deposit can still be paid for
+const PAYABLE_STATUSES = ["held", "pending", "confirmed"];
+
+// Create checkout session for a reservation deposit: POST /api/payments { reservationId }
+// The amount comes from the restaurant's deposit rules (utils/deposits.js), never from the client.
+// type: "pre_order" pays the reservation's pre-order instead (its snapshotted total).
+// Only the reservation's guest can pay; an open checkout is reused instead of starting a second one.
+// body.feeId pays an outstanding late-cancel fee instead (amount taken from the fee record).
 export const createPayment = async (req, res) => {
   try {
-    const { reservationId, amount } = req.body;
+    if (req.body.feeId) return await payOutstandingFee(req, res);
+
+    const { reservationId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(reservationId)) return res.status(400).json({ message: "Invalid reservation id" });
 
     const reservation = await Reservation.findById(reservationId);
     if (!reservation) return res.status(404).json({ message: "Reservation not found" });
+    if (reservation.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to pay for this reservation" });
+    }
+    if (!PAYABLE_STATUSES.includes(reservation.status)) {
+      return res.status(400).json({ message: `Reservation is ${reservation.status}` });
+    }
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: "usd",
-            product_data: { name: "Restaurant Reservation" },
-            unit_amount: amount * 100, // cents
-          },
-          quantity: 1,
-        },
-      ],
-      mode: "payment",
-      success_url: `${process.env.FRONTEND_URL}/payment-success`,
-      cancel_url: `${process.env.FRONTEND_URL}/payment-cancel`,
+    const type = req.body.type === "pre_order" ? "pre_order" : "reservation";
+    const existing = await Payment.find({
+      reservation: reservation._id,
+      type,
+      status: { $in: ["pending", "completed"] }
     });
+    if (existing.some((p) => p.status === "completed")) {
+      return res.status(409).json({ message: type === "pre_order" ? "Pre-order already paid" : "Deposit already paid" });
+    }
+    const open = existing.find((p) => p.paymentId && p.checkoutUrl);
+    if (open) return res.json({ id: open.paymentId, url: open.checkoutUrl, payment: open, reused: true });
+
+    let due;
+    if (type === "pre_order") {
+      if (!(reservation.preOrder?.total > 0)) return res.status(400).json({ message: "No pre-order to pay" });
+      due = { amount: reservation.preOrder.total, currency: reservation.preOrder.currency };
+    } else {
+      const restaurant = await Restaurant.findById(reservation.restaurant).select("depositRules currency");
+      due = computeDeposit(restaurant, reservation);
+      if (due.amount <= 0) return res.status(400).json({ message: "No deposit is required for this reservation" });
+    }
 
     const payment = await Payment.create({
       user: req.user._id,
-      reservation: reservationId,
-      amount,
+      reservation: reservation._id,
+      type,
+      amount: due.amount,
+      currency: due.currency,
       status: "pending"
     });
+    const checkout = await startCheckout(payment, type === "pre_order" ? "Pre-order" : "Reservation deposit");
+
+    res.json({ id: checkout.id, url: checkout.url, payment });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Deposit quote: GET /api/payments/quote?reservationId=  or  ?restaurant=&date=&partySize= (before booking)
+export const getDepositQuote = async (req, res) => {
+  try {
+    const { reservationId, restaurant: restaurantId } = req.query;
+    let restaurant;
+    let booking;
+
+    if (reservationId) {
+      if (!mongoose.Types.ObjectId.isValid(reservationId)) return res.status(400).json({ message: "Invalid reservation id" });
+      booking = await Reservation.findById(reservationId);
+      if (!booking) return res.status(404).json({ message: "Reservation not found" });
+      if (booking.user?.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+        return res.status(403).json({ message: "Not authorized" });
+      }
+      restaurant = await Restaurant.findById(booking.restaurant).select("depositRules currency");
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(restaurantId)) return res.status(400).json({ message: "Invalid restaurant id" });
+      const date = normalizeDate(req.query.date);
+      const partySize = Number(req.query.partySize);
+      if (!date || !Number.isInteger(partySize) || partySize < 1) {
+        return res.status(400).json({ message: "date (YYYY-MM-DD) and partySize required" });
+      }
+      restaurant = await Restaurant.findById(restaurantId).select("depositRules currency");
+      booking = { date, partySize };
+    }
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const { amount, currency, rule } = computeDeposit(restaurant, booking);
+    res.json({ amount, currency, required: amount > 0, rule });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Checkout for an unpaid late-cancel fee owned by the caller (an expired or failed attempt can be retried)
+const payOutstandingFee = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.body.feeId)) return res.status(400).json({ message: "Invalid fee id" });
+
+  const fee = await Payment.findOne({
+    _id: req.body.feeId,
+    user: req.user._id,
+    type: "late_cancel_fee",
+    status: { $in: ["pending", "expired", "failed"] },
+  });
+  if (!fee) return res.status(404).json({ message: "Outstanding fee not found" });
 
-    res.json({ id: session.id, payment });
+  fee.status = "pending";
+  const checkout = await startCheckout(fee, "Late cancellation fee");
+
+  res.json({ id: checkout.id, url: checkout.url, payment: fee });
+};
+
+// Outstanding late-cancel fees for the logged-in user
+export const getMyFees = async (req, res) => {
+  try {
+    const fees = await Payment.find({ user: req.user._id, type: "late_cancel_fee" })
+      .populate("reservation", "date time restaurant")
+      .sort({ createdAt: -1 });
+    res.json(fees);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 };
 
-// Webhook for Stripe to update payment status
-export const stripeWebhook = async (req, res) => {
+// Payment status for the success page: GET /api/payments/session/:sessionId
+// A payment still pending is checked with the provider, in case the webhook has not arrived yet.
+export const getPaymentStatus = async (req, res) => {
   try {
-    const event = req.body;
+    let payment = await Payment.findOne({ paymentId: req.params.sessionId });
+    if (!payment) return res.status(404).json({ message: "Payment not found" });
+    if (payment.user?.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
 
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      await Payment.findOneAndUpdate(
-        { paymentId: session.id },
-        { status: "completed" }
-      );
+    if (payment.status === "pending") {
+      const checkout = await getPaymentProvider().retrieveCheckout(payment.paymentId);
+      if (checkout) payment = (await applyCheckout(checkout)) || payment;
     }
 
-    res.json({ received: true });
+    const reservation = payment.reservation
+      ? await Reservation.findById(payment.reservation).select("status date time restaurant depositAmount")
+      : null;
+
+    res.json({
+      payment: {
+        _id: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        type: payment.type,
+        paidAt: payment.paidAt,
+        failureReason: payment.failureReason
+      },
+      reservation
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// owner of the payment's restaurant or admin
+const canManagePayment = async (payment, user) => {
+  if (user.role === "admin") return true;
+  if (!payment.reservation) return false;
+  const reservation = await Reservation.findById(payment.reservation).populate("restaurant", "owner");
+  return reservation?.restaurant?.owner?.toString() === user._id.toString();
+};
+
+// Payments of a reservation with their refunds: GET /api/payments/reservation/:reservationId
+// The guest, the restaurant owner or an admin.
+export const getReservationPayments = async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(reservationId)) return res.status(400).json({ message: "Invalid reservation id" });
+
+    const reservation = await Reservation.findById(reservationId).populate("restaurant", "owner");
+    if (!reservation) return res.status(404).json({ message: "Reservation not found" });
+    const userId = req.user._id.toString();
+    if (
+      reservation.user?.toString() !== userId &&
+      reservation.restaurant?.owner?.toString() !== userId &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const payments = await Payment.find({ reservation: reservation._id }).sort({ createdAt: 1 });
+    res.json(payments);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Refund a paid payment: POST /api/payments/:id/refund { amount?, reason }
+// Restaurant owner or admin; amount defaults to everything still refundable (withheld fees excluded).
+export const refundPaymentByStaff = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: "Invalid payment id" });
+    const reason = String(req.body.reason || "").trim();
+    if (!reason) return res.status(400).json({ message: "reason required" });
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ message: "Payment not found" });
+    if (!(await canManagePayment(payment, req.user))) {
+      return res.status(403).json({ message: "Not authorized to refund this payment" });
+    }
+
+    const amount = req.body.amount === undefined || req.body.amount === "" ? undefined : Number(req.body.amount);
+    const updated = await refundPayment(payment, { amount, reason, by: req.user._id });
+
+    res.json({ message: "Refund issued", payment: updated, refundable: await refundableAmount(updated) });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// Webhook from the payment provider (PAYMENT_PROVIDER) to update payment status
+// Needs the raw body (server.js skips express.json for this path) to verify the signature.
+export const paymentWebhook = async (req, res) => {
+  let provider;
+  let event;
+  try {
+    provider = getPaymentProvider();
+    event = provider.verifyWebhook(req.body, req.headers);
+  } catch (err) {
+    return res.status(400).json({ message: `Webhook signature verification failed: ${err.message}` });
+  }
+
+  try {
+    const { duplicate } = await handlePaymentEvent(provider.name, event);
+    res.json({ received: true, duplicate });
+  } catch (err) {
+    console.error("paymentWebhook error:", err);
+    res.status(500).json({ message: err.message }); // the provider retries
+  }
+};
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+// fake provider only (PAYMENT_PROVIDER=fake)
+const fakeProvider = () => {
+  const provider = getPaymentProvider();
+  return provider.name === "fake" ? provider : null;
+};
+
+// Local checkout page of the fake provider: GET /api/payments/fake/checkout/:id
+export const fakeCheckoutPage = async (req, res) => {
+  try {
+    const checkout = fakeProvider()?.checkoutDetails(req.params.id);
+    if (!checkout) return res.status(404).json({ message: "Checkout not found" });
+
+    const action = (outcome) =>
+      `<form method="post" action="/api/payments/fake/checkout/${escapeHtml(checkout.id)}/${outcome}" style="display:inline">` +
+      `<button type="submit">${{ pay: "Pay", fail: "Fail payment", cancel: "Cancel" }[outcome]}</button></form>`;
+    res.type("html").send(
+      `<!doctype html><title>Test checkout</title>` +
+        `<h1>${escapeHtml(checkout.productName)}</h1>` +
+        `<p>${escapeHtml(Number(checkout.amount).toFixed(2))} ${escapeHtml(String(checkout.currency).toUpperCase())} (status: ${escapeHtml(checkout.status)})</p>` +
+        (checkout.status === "open" ? ["pay", "fail", "cancel"].map(action).join(" ") : "")
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Finish a fake checkout: POST /api/payments/fake/checkout/:id/:outcome (pay | fail | cancel)
+// Delivers the resulting event like a webhook would, then sends the browser to the success / cancel url.
+export const fakeCheckoutAction = async (req, res) => {
+  try {
+    const provider = fakeProvider();
+    if (!["pay", "fail", "cancel"].includes(req.params.outcome)) return res.status(400).json({ message: "Invalid outcome" });
+    const result = provider?.simulateCheckout(req.params.id, req.params.outcome);
+    if (!result) return res.status(404).json({ message: "Checkout not found" });
+
+    if (result.event) await handlePaymentEvent(provider.name, result.event);
+    if (req.accepts(["html", "json"]) === "json") return res.json({ event: result.event, redirect: result.redirect });
+    res.redirect(303, result.redirect);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -0,0 +1,49 @@
+// controllers/reportController.js
+import mongoose from "mongoose";
+import Restaurant from "../models/Restaurant.js";
+import { buildRevenueReport, parseReportRange, REPORT_COLUMNS } from "../services/revenueReports.js";
+import { toCsv } from "../utils/csv.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * GET /api/reports/revenue
+ * owner: deposits, pre-orders, fees and refunds of their restaurants per period
+ * query:
+ *  - restaurant: narrow to one restaurant (must be owned; admins may pass any)
+ *  - from, to: local dates YYYY-MM-DD, inclusive (default: the last 30 days)
+ *  - interval: day | week | month (default day; weeks start on Monday)
+ *  - format=csv: download the rows instead of { from, to, interval, rows, totals }
+ */
+export const getRevenueReport = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    const isAdmin = req.user.role === "admin";
+
+    let restaurantIds = null;
+    if (!isAdmin) {
+      const owned = await Restaurant.find({ owner: req.user._id }).select("_id");
+      restaurantIds = owned.map((r) => r._id);
+    }
+    if (req.query.restaurant) {
+      if (!isValidObjectId(req.query.restaurant)) return res.status(400).json({ message: "Invalid restaurant id" });
+      if (restaurantIds && !restaurantIds.some((id) => id.toString() === String(req.query.restaurant))) {
+        return res.status(403).json({ message: "Not authorized for this restaurant" });
+      }
+      restaurantIds = [req.query.restaurant];
+    } else if (isAdmin) {
+      return res.status(400).json({ message: "restaurant required (see /api/admin/reports/revenue for platform totals)" });
+    }
+
+    const report = await buildRevenueReport({ restaurantIds, ...range });
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="revenue-${range.from}-${range.to}.csv"`);
+      return res.send(toCsv(report.rows, REPORT_COLUMNS));
+    }
+    return res.json(report);
+  } catch (err) {
+    console.error("getRevenueReport error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
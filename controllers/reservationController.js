@@ -3,21 +3,61 @@ import mongoose from "mongoose";
 import Reservation from "../models/Reservation.js";
 import Restaurant from "../models/Restaurant.js";
 import { safeEmit } from "../socketHelper.js"; // safe emitter
+import { checkSlotAvailability, reservationWindow } from "../services/availability.js";
+import { withRestaurantLock } from "../services/bookingLock.js";
+import { needsApproval, submitBookingRequest } from "../services/bookingRequests.js";
+import {
+  cancelReservationRecord,
+  changeReservationStatus,
+  createStaffReservation,
+  rescheduleReservation,
+} from "../services/reservations.js";
+import { triggerReservationNotification } from "../services/notifications/index.js";
+import { issueManageToken, manageUrl } from "../services/manageTokens.js";
+import {
+  buildReservationFilter,
+  EXPORT_COLUMNS,
+  groupBySlot,
+  loadExportRows,
+} from "../services/reservationQueries.js";
+import { importReservations } from "../services/reservationImport.js";
+import { clearPreOrder, setPreOrder } from "../services/preOrders.js";
+import { performBulkAction } from "../services/bulkReservations.js";
+import { attachGuestStats, bookingRestrictionsFor } from "../services/guestStats.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import { cursorFilter, decodeCursor, encodeCursor } from "../utils/cursor.js";
+import { computeDeposit } from "../utils/deposits.js";
+import { isBookableSlot, normalizeTime } from "../utils/hours.js";
+import { normalizeDate } from "../utils/time.js";
+import { initialStatusEntry } from "../utils/reservationStatus.js";
 
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+const SERVICE_VIEW_LIMIT = 2000; // cap for the unpaginated service-day view
+
 /**
  * POST /api/reservations
- * body: { restaurant, date, time, partySize }
+ * body: { restaurant, date, time, partySize, area? }
+ * date/time are local to the restaurant and must be one of the slots generated from its hours.
+ * Tables are assigned from the restaurant's inventory based on partySize.
+ * Parties above the restaurant's largePartyThreshold become a booking request instead (202),
+ * as do all bookings by guests over the no-show block threshold (config/bookingRules.js);
+ * A deposit from the restaurant's depositRules, or required by the guest's record, leaves the
+ * reservation pending until the payment webhook confirms it.
  */
 export const createReservation = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { restaurant: restaurantId, date, time, partySize } = req.body;
+    const { restaurant: restaurantId, partySize, area } = req.body;
+    const date = normalizeDate(req.body.date) || req.body.date;
+    const time = normalizeTime(req.body.time) || req.body.time;
 
     if (!restaurantId || !date || !time || !partySize) {
       return res.status(400).json({ message: "Missing reservation fields" });
     }
+    if (!Number.isInteger(Number(partySize)) || Number(partySize) < 1) {
+      return res.status(400).json({ message: "Invalid party size" });
+    }
     if (!isValidObjectId(restaurantId)) {
       return res.status(400).json({ message: "Invalid restaurant id" });
     }
@@ -25,11 +65,29 @@ export const createReservation = async (req, res) => {
     const restaurant = await Restaurant.findById(restaurantId);
     if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
 
-    // capacity: check restaurant.tablesPerSlot || restaurant.capacity || default 10
-    const capacity =
-      (typeof restaurant.tablesPerSlot === "number" && restaurant.tablesPerSlot) ||
-      (typeof restaurant.capacity === "number" && restaurant.capacity) ||
-      10;
+    if (needsApproval(restaurant, partySize)) {
+      const request = await submitBookingRequest(restaurant, userId, { ...req.body, date, time });
+      return res.status(202).json({ message: "Large parties need the restaurant's approval; request sent", request });
+    }
+
+    const restrictions = bookingRestrictionsFor(req.user);
+    if (restrictions.requiresApproval) {
+      const request = await submitBookingRequest(restaurant, userId, {
+        ...req.body,
+        date,
+        time,
+        kind: "approval_required",
+      });
+      return res.status(202).json({ message: "This booking needs the restaurant's approval; request sent", request });
+    }
+
+    if (!isBookableSlot(restaurant, date, time)) {
+      return res.status(400).json({ message: "Selected time is not an available slot" });
+    }
+    const { startAt, endAt } = reservationWindow(restaurant, date, time, partySize);
+    if (startAt <= new Date()) {
+      return res.status(400).json({ message: "Selected time is in the past" });
+    }
 
     // prevent same user double-booking same slot
     const existing = await Reservation.findOne({
@@ -43,50 +101,99 @@ export const createReservation = async (req, res) => {
       return res.status(400).json({ message: "You already have a reservation for this slot" });
     }
 
-    // count active reservations at that slot
-    const slotCount = await Reservation.countDocuments({
-      restaurant: restaurantId,
-      date,
-      time,
-      status: { $ne: "cancelled" },
+    // deposit from the restaurant's rules, at least what the guest's record requires
+    const deposit = computeDeposit(restaurant, { date, partySize, depositAmount: restrictions.depositAmount });
+
+    // check + create under the restaurant lock so concurrent bookings cannot overbook
+    const reservation = await withRestaurantLock(restaurantId, async () => {
+      const slot = await checkSlotAvailability(restaurant, { date, time, partySize: Number(partySize), area });
+      if (!slot.canSeat) return null;
+
+      return Reservation.create({
+        user: userId,
+        restaurant: restaurantId,
+        date,
+        time,
+        startAt,
+        endAt,
+        partySize,
+        tables: slot.tables,
+        area,
+        status: "pending",
+        statusHistory: [initialStatusEntry("pending", userId)],
+        depositAmount: deposit.amount,
+      });
     });
-
-    if (slotCount >= capacity) {
+    if (!reservation) {
       return res.status(409).json({ message: "No availability for selected slot" });
     }
 
-    const reservation = await Reservation.create({
-      user: userId,
-      restaurant: restaurantId,
-      date,
-      time,
-      partySize,
-      status: "pending",
-    });
-
     await reservation.populate("user", "name email");
     await reservation.populate("restaurant", "name location owner");
 
     // emit to restaurant room and global (safe)
     safeEmit("reservationCreated", reservation); // global
     safeEmit("reservationCreated", reservation, `restaurant_${restaurantId}`); // room
+    triggerReservationNotification(reservation, "created");
 
+    if (deposit.amount > 0) {
+      return res.status(201).json({ ...reservation.toObject(), depositRequired: true, deposit });
+    }
     return res.status(201).json(reservation);
   } catch (err) {
     console.error("createReservation error:", err);
-    return res.status(500).json({ message: err.message || "Server error" });
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
   }
 };
 
 /**
- * GET /api/reservations/me
+ * POST /api/reservations/staff
+ * body: { restaurant, source: "phone" | "walk_in", guest: { name, phone?, email? }, partySize, date?, time?, area?, status? }
+ * owner/admin records a booking for a guest without an account; walk-ins default to now and start seated
+ */
+export const createStaffBooking = async (req, res) => {
+  try {
+    const { restaurant: restaurantId } = req.body;
+    if (!isValidObjectId(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurant id" });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const isRestaurantOwner = restaurant.owner?.toString() === req.user._id.toString();
+    if (!isRestaurantOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized for this restaurant" });
+    }
+
+    const reservation = await createStaffReservation(restaurant, req.body, req.user._id);
+    return res.status(201).json(reservation);
+  } catch (err) {
+    console.error("createStaffBooking error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * Helper: startAt filter + sort for ?scope=upcoming|past (absolute instants, so DST-safe)
+ */
+const scopeQuery = (scope) => {
+  const now = new Date();
+  if (scope === "upcoming") return { filter: { startAt: { $gte: now } }, sort: { startAt: 1 } };
+  if (scope === "past") return { filter: { startAt: { $lt: now } }, sort: { startAt: -1 } };
+  return { filter: {}, sort: { startAt: 1, date: 1, time: 1 } };
+};
+
+/**
+ * GET /api/reservations/me?scope=upcoming|past
  */
 export const getMyReservations = async (req, res) => {
   try {
     const userId = req.user._id;
-    const reservations = await Reservation.find({ user: userId })
-      .populate("restaurant", "name location cuisineType")
-      .sort({ date: 1, time: 1 });
+    const { filter, sort } = scopeQuery(req.query.scope);
+    const reservations = await Reservation.find({ user: userId, ...filter })
+      .populate("restaurant", "name location cuisineType timezone")
+      .sort(sort);
     return res.json(reservations);
   } catch (err) {
     console.error("getMyReservations error:", err);
@@ -97,6 +204,12 @@ export const getMyReservations = async (req, res) => {
 /**
  * GET /api/reservations/owner
  * returns reservations for restaurants owned by logged-in owner
+ * query:
+ *  - restaurant, from, to (local YYYY-MM-DD), status (comma list), q (guest name/email), scope=upcoming|past
+ *  - view=service: group by slot with covers (sum of partySize) vs capacity and pre-ordered items to prepare
+ *  - limit / cursor: paginate -> { data, nextCursor }
+ * Without view/limit/cursor the plain array is returned (existing frontend).
+ * Each reservation carries guestStats { total, restaurant } with no-show / late-cancel / completed counts.
  */
 export const getOwnerReservations = async (req, res) => {
   try {
@@ -104,12 +217,56 @@ export const getOwnerReservations = async (req, res) => {
     const restaurants = await Restaurant.find({ owner: ownerId }).select("_id");
     const restIds = restaurants.map((r) => r._id);
 
-    const reservations = await Reservation.find({ restaurant: { $in: restIds } })
+    const { filter: listFilter, error, status } = await buildReservationFilter(restIds, req.query);
+    if (error) return res.status(status || 400).json({ message: error });
+
+    const { filter, sort } = scopeQuery(req.query.scope);
+    const query = { ...listFilter, ...filter };
+
+    if (req.query.view === "service") {
+      const reservations = await Reservation.find(query)
+        .populate("user", "name email")
+        .populate("restaurant", "name location timezone tables tablesPerSlot capacity")
+        .populate("statusHistory.by", "name role")
+        .sort({ startAt: 1, date: 1, time: 1 })
+        .limit(SERVICE_VIEW_LIMIT);
+
+      const slots = groupBySlot(await attachGuestStats(reservations));
+      const totals = slots.reduce(
+        (acc, s) => ({ bookings: acc.bookings + s.bookings, covers: acc.covers + s.covers }),
+        { bookings: 0, covers: 0 }
+      );
+      return res.json({ slots, totals });
+    }
+
+    if (req.query.limit || req.query.cursor) {
+      const direction = req.query.scope === "past" ? -1 : 1;
+      const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 50));
+      if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+        if (!cursor) return res.status(400).json({ message: "Invalid cursor" });
+        query.$and = [...(query.$and || []), cursorFilter(cursor, direction)];
+      }
+
+      const page = await Reservation.find(query)
+        .populate("user", "name email")
+        .populate("restaurant", "name location timezone")
+        .populate("statusHistory.by", "name role")
+        .sort({ startAt: direction, _id: direction })
+        .limit(limit + 1);
+
+      const data = page.slice(0, limit);
+      const nextCursor = page.length > limit ? encodeCursor(data[data.length - 1]) : null;
+      return res.json({ data: await attachGuestStats(data), nextCursor });
+    }
+
+    const reservations = await Reservation.find(query)
       .populate("user", "name email")
-      .populate("restaurant", "name location")
-      .sort({ date: 1, time: 1 });
+      .populate("restaurant", "name location timezone")
+      .populate("statusHistory.by", "name role")
+      .sort(sort);
 
-    return res.json(reservations);
+    return res.json(await attachGuestStats(reservations));
   } catch (err) {
     console.error("getOwnerReservations error:", err);
     return res.status(500).json({ message: err.message || "Server error" });
@@ -119,6 +276,8 @@ export const getOwnerReservations = async (req, res) => {
 /**
  * PUT /api/reservations/:id/cancel
  * allowed: reservation user, restaurant owner, admin
+ * guests: not once started; inside the free-cancel window a late fee is recorded (see cancellationPolicy)
+ * A paid deposit is refunded: in full when the owner/admin cancels, otherwise less the fee and per the policy.
  */
 export const cancelReservation = async (req, res) => {
   try {
@@ -138,17 +297,17 @@ export const cancelReservation = async (req, res) => {
       return res.status(403).json({ message: "Not authorized to cancel this reservation" });
     }
 
-    reservation.status = "cancelled";
-    await reservation.save();
-
-    // emit update
-    safeEmit("reservationCancelled", { reservationId: reservation._id, restaurant: reservation.restaurant._id });
-    safeEmit("reservationCancelled", reservation, `restaurant_${reservation.restaurant._id}`);
+    // guests are bound by the restaurant's cancellation policy; owners/admins are not
+    await cancelReservationRecord(reservation, {
+      by: userId,
+      note: req.body?.reason,
+      asGuest: isReservationUser && !isRestaurantOwner && !isAdmin,
+    });
 
     return res.json({ message: "Reservation cancelled", reservation });
   } catch (err) {
     console.error("cancelReservation error:", err);
-    return res.status(500).json({ message: err.message || "Server error" });
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
   }
 };
 
@@ -160,11 +319,10 @@ export const updateReservation = async (req, res) => {
   try {
     const userId = req.user._id;
     const { id } = req.params;
-    const { date, time, partySize } = req.body;
 
     if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid reservation id" });
 
-    const reservation = await Reservation.findById(id).populate("restaurant", "tablesPerSlot capacity owner name");
+    const reservation = await Reservation.findById(id);
     if (!reservation) return res.status(404).json({ message: "Reservation not found" });
 
     const isReservationUser = reservation.user?.toString() === userId.toString();
@@ -173,58 +331,79 @@ export const updateReservation = async (req, res) => {
       return res.status(403).json({ message: "Not authorized to update this reservation" });
     }
 
-    // if date/time are changing, check availability
-    const newDate = date ?? reservation.date;
-    const newTime = time ?? reservation.time;
+    await rescheduleReservation(reservation, req.body, { asGuest: !isAdmin, by: userId });
 
-    const restaurant = await Restaurant.findById(reservation.restaurant._id);
-    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+    return res.json({ message: "Reservation updated", reservation });
+  } catch (err) {
+    console.error("updateReservation error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
 
-    const capacity =
-      (typeof restaurant.tablesPerSlot === "number" && restaurant.tablesPerSlot) ||
-      (typeof restaurant.capacity === "number" && restaurant.capacity) ||
-      10;
+/**
+ * Load a reservation for a pre-order change and work out who is asking.
+ * Returns { reservation, asGuest } or { status, message }
+ */
+const loadForPreOrder = async (req) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) return { status: 400, message: "Invalid reservation id" };
 
-    const slotCount = await Reservation.countDocuments({
-      restaurant: reservation.restaurant._id,
-      date: newDate,
-      time: newTime,
-      status: { $ne: "cancelled" },
-      _id: { $ne: reservation._id }, // exclude this reservation
-    });
+  const reservation = await Reservation.findById(id).populate("restaurant", "owner");
+  if (!reservation) return { status: 404, message: "Reservation not found" };
 
-    if (slotCount >= capacity) {
-      return res.status(409).json({ message: "Requested slot is fully booked" });
-    }
+  const userId = req.user._id.toString();
+  const isReservationUser = reservation.user?.toString() === userId;
+  const isStaff = req.user.role === "admin" || reservation.restaurant?.owner?.toString() === userId;
+  if (!isReservationUser && !isStaff) return { status: 403, message: "Not authorized to change this pre-order" };
 
-    if (date) reservation.date = date;
-    if (time) reservation.time = time;
-    if (partySize) reservation.partySize = partySize;
+  return { reservation, asGuest: !isStaff };
+};
 
-    await reservation.save();
+/**
+ * PUT /api/reservations/:id/pre-order
+ * body: { items: [{ menuItem, quantity, notes? }], notes? } -- replaces the whole order
+ * reservation user (held to noModifyWithinHours), restaurant owner or admin.
+ * Prices are taken from the current menu and snapshotted; a paid order can no longer be changed.
+ */
+export const updatePreOrder = async (req, res) => {
+  try {
+    const { reservation, asGuest, status, message } = await loadForPreOrder(req);
+    if (!reservation) return res.status(status).json({ message });
 
-    await reservation.populate("user", "name email");
-    await reservation.populate("restaurant", "name");
+    await setPreOrder(reservation, req.body, { asGuest });
+    return res.json({ message: "Pre-order saved", reservation });
+  } catch (err) {
+    console.error("updatePreOrder error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
 
-    safeEmit("reservationUpdated", reservation);
-    safeEmit("reservationUpdated", reservation, `restaurant_${reservation.restaurant._id}`);
+/**
+ * DELETE /api/reservations/:id/pre-order
+ */
+export const deletePreOrder = async (req, res) => {
+  try {
+    const { reservation, asGuest, status, message } = await loadForPreOrder(req);
+    if (!reservation) return res.status(status).json({ message });
 
-    return res.json({ message: "Reservation updated", reservation });
+    await clearPreOrder(reservation, { asGuest });
+    return res.json({ message: "Pre-order removed", reservation });
   } catch (err) {
-    console.error("updateReservation error:", err);
-    return res.status(500).json({ message: err.message || "Server error" });
+    console.error("deletePreOrder error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
   }
 };
 
 /**
  * PUT /api/reservations/:id/status
- * owner or admin updates status (confirmed/completed/cancelled)
+ * owner or admin moves a reservation along its lifecycle
+ * body: { status, note? } -- illegal transitions (e.g. completed -> pending) are rejected
  */
 export const updateReservationStatus = async (req, res) => {
   try {
     const userId = req.user._id;
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
     if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid reservation id" });
 
@@ -238,26 +417,202 @@ export const updateReservationStatus = async (req, res) => {
       return res.status(403).json({ message: "Not authorized to update status" });
     }
 
-    const allowed = ["pending", "confirmed", "completed", "cancelled"];
-    if (!allowed.includes(status)) {
-      return res.status(400).json({ message: "Invalid status" });
+    await changeReservationStatus(reservation, status, { by: userId, note });
+    await reservation.populate("statusHistory.by", "name role");
+
+    return res.json({ message: "Status updated", reservation });
+  } catch (err) {
+    console.error("updateReservationStatus error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/reservations/owner/export?restaurant=&from=&to=&status=&format=csv|json
+ * owner's reservations as a spreadsheet-friendly file (csv by default)
+ */
+export const exportOwnerReservations = async (req, res) => {
+  try {
+    const restaurants = await Restaurant.find({ owner: req.user._id }).select("_id");
+    const { filter, error, status } = await buildReservationFilter(restaurants.map((r) => r._id), req.query);
+    if (error) return res.status(status || 400).json({ message: error });
+
+    const rows = await loadExportRows(filter);
+    if (req.query.format === "json") return res.json(rows);
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="reservations-${req.query.from || "all"}.csv"`);
+    return res.send(toCsv(rows, EXPORT_COLUMNS));
+  } catch (err) {
+    console.error("exportOwnerReservations error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * POST /api/reservations/import?restaurant=&dryRun=false
+ * owner/admin; body is CSV text (Content-Type: text/csv) or JSON { restaurant, rows: [...] | csv: "...", dryRun }
+ * dry run is the default: returns a per-row report without saving; pass dryRun=false to commit
+ */
+export const importOwnerReservations = async (req, res) => {
+  try {
+    const body = typeof req.body === "string" ? { csv: req.body } : req.body || {};
+    const restaurantId = req.query.restaurant || body.restaurant;
+    if (!isValidObjectId(restaurantId)) return res.status(400).json({ message: "Invalid restaurant id" });
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const isRestaurantOwner = restaurant.owner?.toString() === req.user._id.toString();
+    if (!isRestaurantOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized for this restaurant" });
     }
 
-    reservation.status = status;
-    await reservation.save();
+    const { rows, lines } = Array.isArray(body.rows) ? { rows: body.rows } : parseCsv(body.csv || "");
+    const dryRunFlag = req.query.dryRun ?? body.dryRun;
+    const dryRun = !(dryRunFlag === false || dryRunFlag === "false");
 
-    await reservation.populate("user", "name email");
+    const report = await importReservations(restaurant, rows, { dryRun, by: req.user._id, lines });
+    return res.status(dryRun ? 200 : 201).json(report);
+  } catch (err) {
+    console.error("importOwnerReservations error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
 
-    safeEmit("reservationStatusChanged", { reservationId: reservation._id, status });
-    safeEmit("reservationStatusChanged", { reservationId: reservation._id, status, reservation }, `restaurant_${reservation.restaurant._id}`);
+/**
+ * POST /api/reservations/bulk
+ * owner: confirm / cancel / move several reservations of their restaurants
+ * body: { action: "confirm" | "cancel" | "move", ids?: [...], filter?: { restaurant, date, time?, status? },
+ *         reason?, to?: { date?, time? } }
+ * returns per-reservation results; one failure does not stop the rest
+ */
+export const bulkUpdateReservations = async (req, res) => {
+  try {
+    const restaurants = await Restaurant.find({ owner: req.user._id }).select("_id");
+    const report = await performBulkAction(restaurants.map((r) => r._id), req.body, req.user._id);
+    return res.json(report);
+  } catch (err) {
+    console.error("bulkUpdateReservations error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
 
-    return res.json({ message: "Status updated", reservation });
+/**
+ * Helper: can the logged-in user hand out / revoke manage links for this reservation?
+ */
+const canManageLinks = async (user, reservation) => {
+  if (user.role === "admin") return true;
+  if (reservation.user?.toString() === user._id.toString()) return true;
+  const restaurant = await Restaurant.findById(reservation.restaurant).select("owner");
+  return restaurant?.owner?.toString() === user._id.toString();
+};
+
+/**
+ * POST /api/reservations/:id/manage-link
+ * reservation user, restaurant owner or admin gets a signed guest link
+ */
+export const createManageLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid reservation id" });
+
+    const reservation = await Reservation.findById(id);
+    if (!reservation) return res.status(404).json({ message: "Reservation not found" });
+    if (!(await canManageLinks(req.user, reservation))) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const token = issueManageToken(reservation);
+    return res.status(201).json({ token, url: manageUrl(token) });
   } catch (err) {
-    console.error("updateReservationStatus error:", err);
+    console.error("createManageLink error:", err);
     return res.status(500).json({ message: err.message || "Server error" });
   }
 };
 
+/**
+ * POST /api/reservations/:id/manage-link/revoke
+ * invalidates every manage link issued so far for this reservation
+ */
+export const revokeManageLinks = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid reservation id" });
+
+    const reservation = await Reservation.findById(id);
+    if (!reservation) return res.status(404).json({ message: "Reservation not found" });
+    if (!(await canManageLinks(req.user, reservation))) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    reservation.manageTokenVersion = (reservation.manageTokenVersion || 0) + 1;
+    await reservation.save();
+
+    return res.json({ message: "Manage links revoked" });
+  } catch (err) {
+    console.error("revokeManageLinks error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/reservations/manage/:token
+ * public: view the reservation behind a signed link
+ */
+export const getManagedReservation = async (req, res) => {
+  try {
+    const reservation = req.reservation;
+    await reservation.populate("restaurant", "name location contact timezone");
+    return res.json(reservation);
+  } catch (err) {
+    console.error("getManagedReservation error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
 
+/**
+ * PUT /api/reservations/manage/:token
+ * public: reschedule (date/time/partySize) with the same checks as PUT /api/reservations/:id
+ */
+export const updateManagedReservation = async (req, res) => {
+  try {
+    const reservation = await rescheduleReservation(req.reservation, req.body, { asGuest: true });
+    return res.json({ message: "Reservation updated", reservation });
+  } catch (err) {
+    console.error("updateManagedReservation error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
 
+/**
+ * PUT /api/reservations/manage/:token/pre-order
+ * public: same body and rules as PUT /api/reservations/:id/pre-order for the guest
+ */
+export const updateManagedPreOrder = async (req, res) => {
+  try {
+    const reservation = await setPreOrder(req.reservation, req.body, { asGuest: true });
+    return res.json({ message: "Pre-order saved", reservation });
+  } catch (err) {
+    console.error("updateManagedPreOrder error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
 
+/**
+ * PUT /api/reservations/manage/:token/cancel
+ * public: cancel on behalf of the guest
+ */
+export const cancelManagedReservation = async (req, res) => {
+  try {
+    const reservation = await cancelReservationRecord(req.reservation, {
+      by: req.reservation.user,
+      note: req.body?.reason || "Cancelled via manage link",
+      asGuest: true,
+    });
+    return res.json({ message: "Reservation cancelled", reservation });
+  } catch (err) {
+    console.error("cancelManagedReservation error:", err);
+    return res.status(err.status || 500).json({ message: err.message || "Server error" });
+  }
+};
@@ -3,6 +3,20 @@ import Restaurant from "../models/Restaurant.js";
 import Reservation from "../models/Reservation.js";
 import mongoose from "mongoose";
 import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability, getSlotsAvailability, tableCapacity } from "../services/availability.js";
+import { normalizeTable } from "../utils/tableAssignment.js";
+import { parsePolicy } from "../utils/cancellationPolicy.js";
+import { parseDepositRules } from "../utils/deposits.js";
+import { triggerWaitlistPromotion } from "../services/waitlist.js";
+import { isValidTimeZone, restaurantTimeZone, todayIn } from "../utils/time.js";
+import {
+  findDateException,
+  generateSlots,
+  hasHoursForDate,
+  isValidDate,
+  normalizeTime,
+  parseHoursString,
+} from "../utils/hours.js";
 
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
@@ -29,6 +43,108 @@ const normalizeFeatures = (f) => {
   return String(f).split(",").map((s) => s.trim()).filter(Boolean);
 };
 
+/**
+ * Helper: ?minRating= (0-5) -> { value } (undefined when not given) or { error }
+ */
+const parseMinRating = (raw) => {
+  if (raw === undefined || raw === "") return {};
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n > 5) return { error: "minRating must be between 0 and 5" };
+  return { value: n };
+};
+
+/**
+ * Helper: sort on the maintained rating (average, then review count as tie-break)
+ */
+const ratingSort = (direction) => ({ "rating.average": direction, "rating.count": direction });
+
+/**
+ * Helper: parse a tables payload (JSON string or array) into normalized table objects
+ */
+const parseTables = (value) => {
+  const parsed = parseMaybeJson(value);
+  if (!Array.isArray(parsed)) return undefined;
+  return parsed.map(normalizeTable);
+};
+
+/**
+ * Helper: validate turn time rules [{ minPartySize?, maxPartySize?, minutes }].
+ * Returns { value } or { error }
+ */
+const parseTurnTimeRules = (raw) => {
+  if (!Array.isArray(raw)) return { error: "turnTimeRules must be an array" };
+  const value = [];
+  for (const [i, r] of raw.entries()) {
+    if (r?.minutes === undefined || r.minutes === null || r.minutes === "") {
+      return { error: `turnTimeRules[${i}]: minutes required` };
+    }
+    const minutes = Number(r.minutes);
+    if (!Number.isFinite(minutes) || minutes < 5) return { error: `turnTimeRules[${i}]: minutes must be at least 5` };
+
+    const rule = { minutes };
+    for (const k of ["minPartySize", "maxPartySize"]) {
+      if (r[k] === undefined || r[k] === null || r[k] === "") continue;
+      const n = Number(r[k]);
+      if (!Number.isInteger(n) || n < 1) return { error: `turnTimeRules[${i}]: invalid ${k}` };
+      rule[k] = n;
+    }
+    if (rule.minPartySize && rule.maxPartySize && rule.minPartySize > rule.maxPartySize) {
+      return { error: `turnTimeRules[${i}]: minPartySize is larger than maxPartySize` };
+    }
+    value.push(rule);
+  }
+  return { value };
+};
+
+/**
+ * Helper: notify clients that bookable capacity changed
+ */
+const emitCapacityChanged = (restaurant) => {
+  const payload = { restaurantId: restaurant._id.toString(), capacity: tableCapacity(restaurant) };
+  safeEmit("restaurantCapacityChanged", payload);
+  safeEmit("restaurantCapacityChanged", payload, `restaurant_${restaurant._id}`);
+};
+
+/**
+ * Helper: validate + normalize a date exception body.
+ * Returns { value } or { error }
+ */
+const parseDateException = (body = {}, existing = {}) => {
+  const value = {};
+  const date = body.date ?? existing.date;
+  if (!isValidDate(date)) return { error: "date required (YYYY-MM-DD)" };
+  value.date = date;
+
+  if (body.closed !== undefined) value.closed = body.closed === true || body.closed === "true";
+
+  if (body.hours !== undefined) {
+    if (body.hours && parseHoursString(String(body.hours)).length === 0) return { error: "Invalid hours" };
+    value.hours = body.hours ? String(body.hours) : undefined;
+  }
+
+  if (body.capacityLimit !== undefined) {
+    if (body.capacityLimit === "" || body.capacityLimit === null) value.capacityLimit = undefined;
+    else {
+      const n = Number(body.capacityLimit);
+      if (!Number.isInteger(n) || n < 0) return { error: "Invalid capacityLimit" };
+      value.capacityLimit = n;
+    }
+  }
+
+  for (const k of ["capacityFrom", "capacityTo"]) {
+    if (body[k] === undefined) continue;
+    if (!body[k]) value[k] = undefined;
+    else {
+      const t = normalizeTime(body[k]);
+      if (!t) return { error: `Invalid ${k}` };
+      value[k] = t;
+    }
+  }
+
+  if (body.note !== undefined) value.note = String(body.note);
+  return { value };
+};
+
 /**
  * POST /api/restaurants
  * Owner creates a restaurant. Accepts multipart/form-data (photos) or JSON.
@@ -36,6 +152,10 @@ const normalizeFeatures = (f) => {
  *  - features: array or CSV string
  *  - menuItems: JSON string or array [{name,price,description,category}]
  *  - hours: JSON string or object { monday: "9:00-22:00", ... }
+ *  - tables: JSON string or array [{label,minSeats,maxSeats,area,combinable}]
+ *  - turnTimeRules: JSON string or array [{minPartySize,maxPartySize,minutes}]
+ *  - cancellationPolicy: JSON string or object {freeCancelHours,lateCancelFee,noModifyWithinHours,lateCancelRefundPercent}
+ *  - depositRules: JSON string or array [{kind,amount|percent,days,minPartySize,maxPartySize}]
  */
 export const createRestaurant = async (req, res) => {
   try {
@@ -48,7 +168,17 @@ export const createRestaurant = async (req, res) => {
       location: req.body.location || "",
       contact: req.body.contact || "",
       owner: req.user?._id,
+      timezone: req.body.timezone || undefined,
+      turnTimeMinutes: req.body.turnTimeMinutes ? Number(req.body.turnTimeMinutes) : undefined,
       tablesPerSlot: req.body.tablesPerSlot ? Number(req.body.tablesPerSlot) : undefined,
+      slotIntervalMinutes: req.body.slotIntervalMinutes ? Number(req.body.slotIntervalMinutes) : undefined,
+      lastSeatingMinutes:
+        req.body.lastSeatingMinutes !== undefined && req.body.lastSeatingMinutes !== ""
+          ? Number(req.body.lastSeatingMinutes)
+          : undefined,
+      largePartyThreshold: req.body.largePartyThreshold ? Number(req.body.largePartyThreshold) : undefined,
+      largePartyDeposit: req.body.largePartyDeposit ? Number(req.body.largePartyDeposit) : undefined,
+      currency: req.body.currency || undefined,
     };
 
     // features
@@ -66,11 +196,40 @@ export const createRestaurant = async (req, res) => {
     const parsedHours = parseMaybeJson(req.body.hours);
     if (parsedHours !== undefined) payload.hours = parsedHours;
 
+    // turn time rules
+    if (req.body.turnTimeRules !== undefined) {
+      const { value, error } = parseTurnTimeRules(parseMaybeJson(req.body.turnTimeRules));
+      if (error) return res.status(400).json({ message: error });
+      payload.turnTimeRules = value;
+    }
+
+    // tables
+    const parsedTables = parseTables(req.body.tables);
+    if (parsedTables !== undefined) payload.tables = parsedTables;
+
+    // cancellation policy
+    if (req.body.cancellationPolicy !== undefined) {
+      const { value, error } = parsePolicy(parseMaybeJson(req.body.cancellationPolicy) || {});
+      if (error) return res.status(400).json({ message: error });
+      payload.cancellationPolicy = value;
+    }
+
+    // deposit rules
+    if (req.body.depositRules !== undefined) {
+      const { value, error } = parseDepositRules(parseMaybeJson(req.body.depositRules));
+      if (error) return res.status(400).json({ message: error });
+      payload.depositRules = value;
+    }
+
     // photos from multer
     if (req.files && req.files.length > 0) {
       payload.photos = req.files.map((f) => `/uploads/${f.filename}`);
     }
 
+    if (payload.timezone && !isValidTimeZone(payload.timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
     const restaurant = await Restaurant.create(payload);
 
     try {
@@ -90,7 +249,8 @@ export const createRestaurant = async (req, res) => {
 /**
  * GET /api/restaurants
  * Return a plain array (compatibility with existing frontend Home.jsx).
- * Supports a safe set of query filters (no pagination envelope).
+ * Supports a safe set of query filters (no pagination envelope), minRating (0-5)
+ * and sort=-rating (best rated first) / sort=rating; newest first otherwise.
  */
 export const getRestaurants = async (req, res) => {
   try {
@@ -106,8 +266,13 @@ export const getRestaurants = async (req, res) => {
       const feats = normalizeFeatures(req.query.features);
       if (feats.length) filter.features = { $all: feats };
     }
+    const minRating = parseMinRating(req.query.minRating);
+    if (minRating.error) return res.status(400).json({ message: minRating.error });
+    if (minRating.value !== undefined) filter["rating.average"] = { $gte: minRating.value };
 
-    const restaurants = await Restaurant.find(filter).sort({ createdAt: -1 }).lean();
+    const sort =
+      req.query.sort === "-rating" ? ratingSort(-1) : req.query.sort === "rating" ? ratingSort(1) : { createdAt: -1 };
+    const restaurants = await Restaurant.find(filter).sort(sort).lean();
     return res.json(restaurants);
   } catch (err) {
     console.error("getRestaurants error:", err);
@@ -128,7 +293,13 @@ export const getRestaurantById = async (req, res) => {
     const restaurant = await Restaurant.findById(id).populate("owner", "name email");
     if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
 
-    return res.json(restaurant);
+    // closures / special hours from today on, for the booking UI
+    const today = todayIn(restaurantTimeZone(restaurant));
+    const upcomingExceptions = (restaurant.dateExceptions || [])
+      .filter((e) => e.date >= today)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return res.json({ ...restaurant.toObject(), upcomingExceptions });
   } catch (err) {
     console.error("getRestaurantById error:", err);
     return res.status(500).json({ message: err.message || "Server error" });
@@ -155,7 +326,7 @@ export const updateRestaurant = async (req, res) => {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    const oldCapacity = restaurant.tablesPerSlot ?? restaurant.capacity ?? 10;
+    const oldCapacity = tableCapacity(restaurant);
 
     // Append uploaded photos
     if (req.files && req.files.length > 0) {
@@ -173,11 +344,30 @@ export const updateRestaurant = async (req, res) => {
       "location",
       "contact",
       "tablesPerSlot",
+      "slotIntervalMinutes",
+      "lastSeatingMinutes",
+      "timezone",
+      "turnTimeMinutes",
+      "largePartyThreshold",
+      "largePartyDeposit",
+      "currency",
+    ];
+    if (req.body.timezone !== undefined && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+    const numeric = [
+      "price",
+      "tablesPerSlot",
+      "slotIntervalMinutes",
+      "lastSeatingMinutes",
+      "turnTimeMinutes",
+      "largePartyThreshold",
+      "largePartyDeposit",
     ];
     updatable.forEach((k) => {
       if (req.body[k] !== undefined) {
         // convert numeric
-        if (k === "price" || k === "tablesPerSlot") {
+        if (numeric.includes(k)) {
           restaurant[k] = req.body[k] === "" ? undefined : Number(req.body[k]);
         } else restaurant[k] = req.body[k];
       }
@@ -197,6 +387,33 @@ export const updateRestaurant = async (req, res) => {
       }
     }
 
+    // turn time rules (overwrite if provided)
+    if (req.body.turnTimeRules !== undefined) {
+      const { value, error } = parseTurnTimeRules(parseMaybeJson(req.body.turnTimeRules) || []);
+      if (error) return res.status(400).json({ message: error });
+      restaurant.turnTimeRules = value;
+    }
+
+    // tables (overwrite if provided; keep _id to preserve existing assignments)
+    if (req.body.tables !== undefined) {
+      const parsed = parseTables(req.body.tables);
+      if (parsed) restaurant.tables = parsed;
+    }
+
+    // cancellation policy (merge: only the given keys change)
+    if (req.body.cancellationPolicy !== undefined) {
+      const { value, error } = parsePolicy(parseMaybeJson(req.body.cancellationPolicy) || {});
+      if (error) return res.status(400).json({ message: error });
+      Object.entries(value).forEach(([k, v]) => restaurant.set(`cancellationPolicy.${k}`, v));
+    }
+
+    // deposit rules (overwrite if provided)
+    if (req.body.depositRules !== undefined) {
+      const { value, error } = parseDepositRules(parseMaybeJson(req.body.depositRules) || []);
+      if (error) return res.status(400).json({ message: error });
+      restaurant.depositRules = value;
+    }
+
     // hours
     if (req.body.hours !== undefined) {
       const parsed = parseMaybeJson(req.body.hours);
@@ -209,26 +426,14 @@ export const updateRestaurant = async (req, res) => {
 
     await restaurant.save();
 
-    const newCapacity = restaurant.tablesPerSlot ?? restaurant.capacity ?? oldCapacity;
+    const newCapacity = tableCapacity(restaurant);
     if (newCapacity !== oldCapacity) {
       try {
-        safeEmit &&
-          safeEmit("restaurantCapacityChanged", {
-            restaurantId: restaurant._id.toString(),
-            capacity: newCapacity,
-          });
-        safeEmit &&
-          safeEmit(
-            "restaurantCapacityChanged",
-            {
-              restaurantId: restaurant._id.toString(),
-              capacity: newCapacity,
-            },
-            `restaurant_${restaurant._id}`
-          );
+        emitCapacityChanged(restaurant);
       } catch (e) {
         console.warn("safeEmit capacity changed failed", e?.message || e);
       }
+      if (newCapacity > oldCapacity) triggerWaitlistPromotion(restaurant._id);
     }
 
     try {
@@ -381,9 +586,135 @@ export const deleteMenuItem = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/restaurants/:id/tables
+ * List table inventory
+ */
+export const getTables = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id).select("tables tablesPerSlot");
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    return res.json(restaurant.tables || []);
+  } catch (err) {
+    console.error("getTables error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * POST /api/restaurants/:id/tables
+ * Add a table (owner only)
+ * Body: { label, minSeats, maxSeats, area, combinable }
+ */
+export const addTable = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id);
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const userId = req.user._id.toString();
+    const ownerId = restaurant.owner?.toString();
+    if (ownerId && ownerId !== userId && req.user.role !== "admin")
+      return res.status(403).json({ message: "Not authorized" });
+
+    const table = normalizeTable(req.body);
+    delete table._id;
+    if (!table.label) return res.status(400).json({ message: "Label required" });
+    if (!table.maxSeats || table.maxSeats < 1) return res.status(400).json({ message: "maxSeats required" });
+    if (table.minSeats && table.minSeats > table.maxSeats)
+      return res.status(400).json({ message: "minSeats cannot exceed maxSeats" });
+
+    restaurant.tables = restaurant.tables || [];
+    restaurant.tables.push(table);
+    await restaurant.save();
+
+    emitCapacityChanged(restaurant);
+    triggerWaitlistPromotion(restaurant._id);
+
+    const newTable = restaurant.tables[restaurant.tables.length - 1];
+    return res.status(201).json(newTable);
+  } catch (err) {
+    console.error("addTable error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/restaurants/:id/tables/:tableId
+ * Update a table
+ */
+export const updateTable = async (req, res) => {
+  try {
+    const { id, tableId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(tableId)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id);
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const userId = req.user._id.toString();
+    const ownerId = restaurant.owner?.toString();
+    if (ownerId && ownerId !== userId && req.user.role !== "admin")
+      return res.status(403).json({ message: "Not authorized" });
+
+    const table = restaurant.tables.id(tableId);
+    if (!table) return res.status(404).json({ message: "Table not found" });
+
+    const changes = normalizeTable(req.body);
+    delete changes._id;
+    Object.assign(table, changes);
+    if (table.minSeats > table.maxSeats)
+      return res.status(400).json({ message: "minSeats cannot exceed maxSeats" });
+
+    await restaurant.save();
+    emitCapacityChanged(restaurant);
+    triggerWaitlistPromotion(restaurant._id); // bigger or re-activated tables may fit waiting parties
+    return res.json(table);
+  } catch (err) {
+    console.error("updateTable error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * DELETE /api/restaurants/:id/tables/:tableId
+ * Existing reservations keep their booking; set active=false to retire a table instead.
+ */
+export const deleteTable = async (req, res) => {
+  try {
+    const { id, tableId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(tableId)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id);
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const userId = req.user._id.toString();
+    const ownerId = restaurant.owner?.toString();
+    if (ownerId && ownerId !== userId && req.user.role !== "admin")
+      return res.status(403).json({ message: "Not authorized" });
+
+    const beforeCount = restaurant.tables.length;
+    restaurant.tables = restaurant.tables.filter((t) => t._id.toString() !== tableId);
+    if (restaurant.tables.length === beforeCount) return res.status(404).json({ message: "Table not found" });
+
+    await restaurant.save();
+    emitCapacityChanged(restaurant);
+    return res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("deleteTable error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
 /**
  * GET /api/restaurants/search
  * (kept from previous implementation)
+ * minRating (0-5) filters on the average rating; sort=-rating puts the best rated first.
  */
 export const searchRestaurants = async (req, res) => {
   try {
@@ -394,6 +725,7 @@ export const searchRestaurants = async (req, res) => {
       maxPrice,
       location,
       features,
+      minRating,
       page = 1,
       limit = 20,
       sort,
@@ -435,6 +767,10 @@ export const searchRestaurants = async (req, res) => {
       }
     }
 
+    const minRatingN = parseMinRating(minRating);
+    if (minRatingN.error) return res.status(400).json({ message: minRatingN.error });
+    if (minRatingN.value !== undefined) filter["rating.average"] = { $gte: minRatingN.value };
+
     const pageN = Math.max(1, Number(page) || 1);
     const limN = Math.max(1, Math.min(100, Number(limit) || 20));
     const skip = (pageN - 1) * limN;
@@ -444,8 +780,10 @@ export const searchRestaurants = async (req, res) => {
       const keys = sort.split(",");
       keys.forEach((k) => {
         if (!k) return;
-        if (k.startsWith("-")) sortOption[k.slice(1)] = -1;
-        else sortOption[k] = 1;
+        const direction = k.startsWith("-") ? -1 : 1;
+        const key = direction === -1 ? k.slice(1) : k;
+        if (key === "rating") Object.assign(sortOption, ratingSort(direction));
+        else sortOption[key] = direction;
       });
     } else {
       sortOption.createdAt = -1;
@@ -472,13 +810,16 @@ export const searchRestaurants = async (req, res) => {
 };
 
 /**
- * GET /api/restaurants/:id/availability
- * (kept from previous implementation)
+ * GET /api/restaurants/:id/availability?date=&time=&partySize=&area=
+ * Answers "can you seat partySize people at this time" from the table inventory
+ * (falls back to tablesPerSlot bookings per slot when no tables are configured)
  */
 export const getAvailability = async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, time } = req.query;
+    const { date, area } = req.query;
+    const time = normalizeTime(req.query.time) || req.query.time;
+    const partySize = req.query.partySize ? Number(req.query.partySize) : undefined;
 
     if (!isValidObjectId(id))
       return res.status(400).json({ message: "Invalid restaurant id" });
@@ -486,28 +827,228 @@ export const getAvailability = async (req, res) => {
       return res
         .status(400)
         .json({ message: "date and time query parameters required" });
+    if (partySize !== undefined && (!Number.isInteger(partySize) || partySize < 1))
+      return res.status(400).json({ message: "Invalid party size" });
 
     const restaurant = await Restaurant.findById(id).select(
-      "tablesPerSlot capacity"
+      "tablesPerSlot capacity tables dateExceptions timezone turnTimeMinutes turnTimeRules"
     );
     if (!restaurant)
       return res.status(404).json({ message: "Restaurant not found" });
 
-    const capacity =
-      restaurant.tablesPerSlot ?? restaurant.capacity ?? 10;
+    const slot = await checkSlotAvailability(restaurant, { date, time, partySize, area });
+    const closed = Boolean(findDateException(restaurant, date)?.closed);
 
-    const booked = await Reservation.countDocuments({
+    return res.json({
       restaurant: id,
       date,
       time,
-      status: { $ne: "cancelled" },
+      closed,
+      partySize: partySize ?? null,
+      capacity: slot.capacity,
+      booked: slot.booked,
+      available: slot.available,
+      seatsAvailable: closed ? 0 : slot.seatsAvailable,
+      canSeat: !closed && slot.canSeat,
     });
+  } catch (err) {
+    console.error("getAvailability error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
 
-    const available = Math.max(0, capacity - booked);
+/**
+ * GET /api/restaurants/:id/slots?date=&partySize=&area=
+ * Bookable slots generated from the restaurant's hours with remaining capacity per slot
+ */
+export const getSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, area } = req.query;
+    const partySize = req.query.partySize ? Number(req.query.partySize) : undefined;
+
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid restaurant id" });
+    if (!isValidDate(date)) return res.status(400).json({ message: "date query parameter required (YYYY-MM-DD)" });
+    if (partySize !== undefined && (!Number.isInteger(partySize) || partySize < 1))
+      return res.status(400).json({ message: "Invalid party size" });
 
-    return res.json({ restaurant: id, date, time, capacity, booked, available });
+    const restaurant = await Restaurant.findById(id).select(
+      "hours slotIntervalMinutes lastSeatingMinutes tablesPerSlot capacity tables dateExceptions timezone turnTimeMinutes turnTimeRules"
+    );
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const exception = findDateException(restaurant, date);
+    if (!hasHoursForDate(restaurant, date)) {
+      return res.json({
+        restaurant: id,
+        date,
+        partySize: partySize ?? null,
+        hoursConfigured: false,
+        closed: Boolean(exception?.closed),
+        slots: [],
+      });
+    }
+
+    const times = generateSlots(restaurant, date);
+    const slots = await getSlotsAvailability(restaurant, { date, times, partySize, area });
+
+    return res.json({
+      restaurant: id,
+      date,
+      partySize: partySize ?? null,
+      hoursConfigured: true,
+      closed: Boolean(exception?.closed),
+      note: exception?.note,
+      slots: slots.map((s) => ({
+        time: s.time,
+        capacity: s.capacity,
+        available: s.available,
+        seatsAvailable: s.seatsAvailable,
+        canSeat: s.canSeat,
+      })),
+    });
   } catch (err) {
-    console.error("getAvailability error:", err);
+    console.error("getSlots error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/restaurants/:id/exceptions
+ * Date exceptions (closures, special hours, reduced capacity), sorted by date
+ */
+export const getDateExceptions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id).select("dateExceptions");
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const exceptions = (restaurant.dateExceptions || []).slice().sort((a, b) => a.date.localeCompare(b.date));
+    return res.json(exceptions);
+  } catch (err) {
+    console.error("getDateExceptions error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * POST /api/restaurants/:id/exceptions
+ * Owner adds a date exception
+ * Body: { date, closed?, hours?, capacityLimit?, capacityFrom?, capacityTo?, note? }
+ */
+export const addDateException = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id);
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const userId = req.user._id.toString();
+    const ownerId = restaurant.owner?.toString();
+    if (ownerId && ownerId !== userId && req.user.role !== "admin")
+      return res.status(403).json({ message: "Not authorized" });
+
+    const { value, error } = parseDateException(req.body);
+    if (error) return res.status(400).json({ message: error });
+    if (findDateException(restaurant, value.date))
+      return res.status(400).json({ message: "An exception already exists for this date" });
+
+    restaurant.dateExceptions = restaurant.dateExceptions || [];
+    restaurant.dateExceptions.push(value);
+    await restaurant.save();
+
+    const exception = restaurant.dateExceptions[restaurant.dateExceptions.length - 1];
+
+    // bookings that now fall on a closed day need the owner's attention
+    const affectedReservations = await Reservation.countDocuments({
+      restaurant: restaurant._id,
+      date: value.date,
+      status: { $in: ["held", "pending", "confirmed"] },
+    });
+
+    safeEmit("restaurantScheduleChanged", { restaurantId: restaurant._id.toString(), date: value.date });
+    triggerWaitlistPromotion(restaurant._id, { date: value.date });
+
+    return res.status(201).json({ exception, affectedReservations });
+  } catch (err) {
+    console.error("addDateException error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/restaurants/:id/exceptions/:exceptionId
+ */
+export const updateDateException = async (req, res) => {
+  try {
+    const { id, exceptionId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(exceptionId)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id);
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const userId = req.user._id.toString();
+    const ownerId = restaurant.owner?.toString();
+    if (ownerId && ownerId !== userId && req.user.role !== "admin")
+      return res.status(403).json({ message: "Not authorized" });
+
+    const exception = restaurant.dateExceptions.id(exceptionId);
+    if (!exception) return res.status(404).json({ message: "Exception not found" });
+
+    const { value, error } = parseDateException(req.body, exception);
+    if (error) return res.status(400).json({ message: error });
+    const clash = findDateException(restaurant, value.date);
+    if (clash && clash._id.toString() !== exceptionId)
+      return res.status(400).json({ message: "An exception already exists for this date" });
+
+    const previousDate = exception.date;
+    exception.set(value);
+    await restaurant.save();
+
+    safeEmit("restaurantScheduleChanged", { restaurantId: restaurant._id.toString(), date: exception.date });
+    triggerWaitlistPromotion(restaurant._id, { date: exception.date });
+    if (previousDate !== exception.date) triggerWaitlistPromotion(restaurant._id, { date: previousDate });
+
+    return res.json(exception);
+  } catch (err) {
+    console.error("updateDateException error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * DELETE /api/restaurants/:id/exceptions/:exceptionId
+ * Back to the weekly schedule for that date
+ */
+export const deleteDateException = async (req, res) => {
+  try {
+    const { id, exceptionId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(exceptionId)) return res.status(400).json({ message: "Invalid id" });
+
+    const restaurant = await Restaurant.findById(id);
+    if (!restaurant) return res.status(404).json({ message: "Not found" });
+
+    const userId = req.user._id.toString();
+    const ownerId = restaurant.owner?.toString();
+    if (ownerId && ownerId !== userId && req.user.role !== "admin")
+      return res.status(403).json({ message: "Not authorized" });
+
+    const exception = restaurant.dateExceptions.id(exceptionId);
+    if (!exception) return res.status(404).json({ message: "Exception not found" });
+
+    const { date } = exception;
+    restaurant.dateExceptions = restaurant.dateExceptions.filter((e) => e._id.toString() !== exceptionId);
+    await restaurant.save();
+
+    safeEmit("restaurantScheduleChanged", { restaurantId: restaurant._id.toString(), date });
+    triggerWaitlistPromotion(restaurant._id, { date });
+
+    return res.json({ message: "Deleted" });
+  } catch (err) {
+    console.error("deleteDateException error:", err);
     return res.status(500).json({ message: err.message || "Server error" });
   }
 };
@@ -1,5 +1,6 @@
 import Review from "../models/Review.js";
 import Restaurant from "../models/Restaurant.js";
+import { refreshRestaurantRating } from "../services/ratings.js";
 
 // Add new review
 export const addReview = async (req, res) => {
@@ -14,6 +15,7 @@ export const addReview = async (req, res) => {
       comment,
       photos,
     });
+    await refreshRestaurantRating(review.restaurant);
 
     res.status(201).json(review);
   } catch (err) {
@@ -47,7 +49,9 @@ export const updateReview = async (req, res) => {
     review.comment = req.body.comment || review.comment;
     review.photos = req.body.photos || review.photos;
 
+    const ratingChanged = review.isModified("rating");
     await review.save();
+    if (ratingChanged) await refreshRestaurantRating(review.restaurant);
     res.json(review);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -65,6 +69,7 @@ export const deleteReview = async (req, res) => {
     }
 
     await review.deleteOne();
+    await refreshRestaurantRating(review.restaurant);
     res.json({ message: "Review deleted" });
   } catch (err) {
     res.status(500).json({ message: err.message });
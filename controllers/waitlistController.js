@@ -0,0 +1,207 @@
+// controllers/waitlistController.js
+import mongoose from "mongoose";
+import Waitlist from "../models/Waitlist.js";
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability } from "../services/availability.js";
+import { freedSlot, releaseHold, triggerWaitlistPromotion } from "../services/waitlist.js";
+import { triggerReservationNotification } from "../services/notifications/index.js";
+import { isBookableSlot, normalizeTime } from "../utils/hours.js";
+import { localToInstant, normalizeDate } from "../utils/time.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * POST /api/waitlist
+ * body: { restaurant, date, time, partySize, area? }
+ * Only for slots that are currently full.
+ */
+export const joinWaitlist = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { restaurant: restaurantId, partySize, area } = req.body;
+    const date = normalizeDate(req.body.date) || req.body.date;
+    const time = normalizeTime(req.body.time) || req.body.time;
+
+    if (!restaurantId || !date || !time || !partySize) {
+      return res.status(400).json({ message: "Missing waitlist fields" });
+    }
+    if (!isValidObjectId(restaurantId)) return res.status(400).json({ message: "Invalid restaurant id" });
+    if (!Number.isInteger(Number(partySize)) || Number(partySize) < 1) {
+      return res.status(400).json({ message: "Invalid party size" });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    if (!isBookableSlot(restaurant, date, time)) {
+      return res.status(400).json({ message: "Selected time is not an available slot" });
+    }
+    const startAt = localToInstant(restaurant, date, time);
+    if (startAt <= new Date()) return res.status(400).json({ message: "Selected time is in the past" });
+
+    const slot = await checkSlotAvailability(restaurant, { date, time, partySize: Number(partySize), area });
+    if (slot.canSeat) {
+      return res.status(400).json({ message: "Slot has availability, book it directly" });
+    }
+
+    const existing = await Waitlist.findOne({
+      user: userId,
+      restaurant: restaurantId,
+      date,
+      time,
+      status: { $in: ["waiting", "offered"] },
+    });
+    if (existing) return res.status(400).json({ message: "You are already on the waitlist for this slot" });
+
+    const entry = await Waitlist.create({
+      user: userId,
+      restaurant: restaurantId,
+      date,
+      time,
+      startAt,
+      partySize: Number(partySize),
+      area,
+    });
+
+    const position = await Waitlist.countDocuments({
+      restaurant: restaurantId,
+      date,
+      time,
+      status: "waiting",
+      createdAt: { $lte: entry.createdAt },
+    });
+
+    safeEmit("waitlistJoined", entry, `restaurant_${restaurantId}`);
+
+    return res.status(201).json({ entry, position });
+  } catch (err) {
+    console.error("joinWaitlist error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/waitlist/me
+ */
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await Waitlist.find({ user: req.user._id })
+      .populate("restaurant", "name location")
+      .sort({ date: 1, time: 1 });
+    return res.json(entries);
+  } catch (err) {
+    console.error("getMyWaitlist error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * GET /api/waitlist/restaurant/:restaurantId?date=
+ * owner or admin
+ */
+export const getRestaurantWaitlist = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    if (!isValidObjectId(restaurantId)) return res.status(400).json({ message: "Invalid restaurant id" });
+
+    const restaurant = await Restaurant.findById(restaurantId).select("owner");
+    if (!restaurant) return res.status(404).json({ message: "Restaurant not found" });
+
+    const isRestaurantOwner = restaurant.owner?.toString() === req.user._id.toString();
+    if (!isRestaurantOwner && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const filter = { restaurant: restaurantId, status: { $in: ["waiting", "offered"] } };
+    if (req.query.date) filter.date = req.query.date;
+
+    const entries = await Waitlist.find(filter)
+      .populate("user", "name email")
+      .sort({ date: 1, time: 1, createdAt: 1 });
+    return res.json(entries);
+  } catch (err) {
+    console.error("getRestaurantWaitlist error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/waitlist/:id/accept
+ * guest accepts an offered slot before the hold expires
+ */
+export const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid waitlist id" });
+
+    const entry = await Waitlist.findById(id);
+    if (!entry) return res.status(404).json({ message: "Waitlist entry not found" });
+    if (entry.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+    if (entry.status !== "offered") return res.status(400).json({ message: "No offer to accept" });
+    if (entry.holdExpiresAt && entry.holdExpiresAt <= new Date()) {
+      return res.status(410).json({ message: "Offer has expired" });
+    }
+
+    // only a still-held reservation can be taken over
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: entry.reservation, status: "held" },
+      {
+        status: "pending",
+        $unset: { holdExpiresAt: 1 },
+        $inc: { calendarSequence: 1 },
+        $push: { statusHistory: { from: "held", to: "pending", by: req.user._id, note: "Waitlist offer accepted", at: new Date() } },
+      },
+      { new: true }
+    );
+    if (!reservation) return res.status(410).json({ message: "Offer is no longer available" });
+
+    entry.status = "accepted";
+    await entry.save();
+
+    await reservation.populate("user", "name email");
+    await reservation.populate("restaurant", "name location owner");
+
+    safeEmit("reservationCreated", reservation);
+    safeEmit("reservationCreated", reservation, `restaurant_${reservation.restaurant._id}`);
+    triggerReservationNotification(reservation, "created");
+
+    return res.json({ message: "Reservation confirmed from waitlist", reservation });
+  } catch (err) {
+    console.error("acceptWaitlistOffer error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
+
+/**
+ * PUT /api/waitlist/:id/cancel
+ * guest leaves the waitlist or declines an offer; a declined hold goes to the next guest
+ */
+export const cancelWaitlistEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) return res.status(400).json({ message: "Invalid waitlist id" });
+
+    const entry = await Waitlist.findById(id);
+    if (!entry) return res.status(404).json({ message: "Waitlist entry not found" });
+    if (entry.user.toString() !== req.user._id.toString() && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+    if (!["waiting", "offered"].includes(entry.status)) {
+      return res.status(400).json({ message: "Waitlist entry is no longer active" });
+    }
+
+    const released = await releaseHold(entry, "cancelled", req.user._id);
+    if (released) triggerWaitlistPromotion(entry.restaurant, freedSlot(released));
+
+    safeEmit("waitlistCancelled", { waitlistId: entry._id }, `restaurant_${entry.restaurant}`);
+
+    return res.json({ message: "Removed from waitlist", entry });
+  } catch (err) {
+    console.error("cancelWaitlistEntry error:", err);
+    return res.status(500).json({ message: err.message || "Server error" });
+  }
+};
@@ -0,0 +1,25 @@
+// middlewares/manageTokenMiddleware.js
+import Reservation from "../models/Reservation.js";
+import { verifyManageToken } from "../services/manageTokens.js";
+
+/**
+ * Resolve req.params.token to req.reservation (public manage-link routes)
+ */
+export const loadManagedReservation = async (req, res, next) => {
+  try {
+    const claims = verifyManageToken(req.params.token);
+    if (!claims) return res.status(401).json({ message: "Invalid or expired link" });
+
+    const reservation = await Reservation.findById(claims.reservationId);
+    if (!reservation) return res.status(404).json({ message: "Reservation not found" });
+    if ((reservation.manageTokenVersion || 0) !== claims.version) {
+      return res.status(401).json({ message: "This link has been revoked" });
+    }
+
+    req.reservation = reservation;
+    next();
+  } catch (err) {
+    console.error("loadManagedReservation", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
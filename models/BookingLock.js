@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Short-lived mutex documents; the unique key makes acquiring a lock atomic
+const bookingLockSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    holder: { type: String, required: true },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } }, // TTL cleanup of abandoned locks
+  },
+  { timestamps: true }
+);
+
+const BookingLock = mongoose.model("BookingLock", bookingLockSchema);
+export default BookingLock;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const preferredTimeSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // local "YYYY-MM-DD"
+    time: { type: String, required: true }, // local "HH:MM"
+  },
+  { _id: false }
+);
+
+const bookingRequestSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    // approval_required: created for guests whose no-show record blocks instant booking
+    kind: { type: String, enum: ["large_party", "private_dining", "approval_required"], default: "large_party" },
+    partySize: { type: Number, required: true },
+    preferredTimes: { type: [preferredTimeSchema], validate: (v) => v.length > 0 }, // in order of preference
+    area: { type: String },
+    notes: { type: String },
+    status: {
+      type: String,
+      enum: ["pending", "countered", "awaiting_deposit", "confirmed", "declined", "cancelled"],
+      default: "pending",
+    },
+    counterOffer: { date: String, time: String, note: String }, // owner's proposed time when countered
+    ownerNote: { type: String }, // reason for decline / message on accept
+    depositAmount: { type: Number, default: 0 }, // asked on acceptance; paid through /api/payments
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" }, // created on acceptance
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+bookingRequestSchema.index({ restaurant: 1, status: 1, createdAt: -1 });
+
+const BookingRequest = mongoose.model("BookingRequest", bookingRequestSchema);
+export default BookingRequest;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// per guest, per restaurant booking outcomes (platform-wide totals live on User.reputation)
+const guestStatSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    noShows: { type: Number, default: 0 },
+    lateCancels: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    lastNoShowAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+guestStatSchema.index({ user: 1, restaurant: 1 }, { unique: true });
+
+const GuestStat = mongoose.model("GuestStat", guestStatSchema);
+export default GuestStat;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Persisted outbox: messages are written here first and delivered by the notification worker
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: ["email", "sms"], required: true },
+    to: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" },
+    type: { type: String, required: true }, // confirmation, statusChanged, reminder24h...
+    subject: { type: String },
+    body: { type: String, required: true },
+    sendAt: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "cancelled"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    lockedAt: { type: Date },
+    sentAt: { type: Date },
+    providerMessageId: { type: String },
+    dedupeKey: { type: String, unique: true, sparse: true }, // same key is never enqueued twice
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, sendAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+export default Notification;
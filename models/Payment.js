@@ -1,12 +1,48 @@
 import mongoose from "mongoose";
 
+export const PAYMENT_STATUSES = [
+  "pending",
+  "completed",
+  "failed",
+  "expired",
+  "refund_pending",
+  "partially_refunded",
+  "refunded",
+];
+// paid payments money can still be refunded from
+export const REFUNDABLE_STATUSES = ["completed", "refund_pending", "partially_refunded"];
+
+// one refund issued through the provider (a payment can have several partial refunds)
+const refundSchema = new mongoose.Schema({
+  refundId: String, // provider refund id
+  amount: Number,
+  reason: String,
+  status: { type: String, enum: ["pending", "succeeded", "failed", "canceled"], default: "pending" },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // unset for refunds made in the provider dashboard
+  failureReason: String,
+  processedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
 const paymentSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" },
   amount: Number,
-  status: { type: String, enum: ["pending", "completed", "failed"], default: "pending" },
-  paymentId: String
+  currency: { type: String, default: "usd" },
+  type: { type: String, enum: ["reservation", "pre_order", "late_cancel_fee"], default: "reservation" },
+  status: { type: String, enum: PAYMENT_STATUSES, default: "pending" },
+  paymentId: { type: String, index: true }, // checkout session id
+  paymentIntentId: String, // set once the session is paid (refunds / failures refer to it)
+  checkoutUrl: String,
+  paidAt: Date,
+  failureReason: String,
+  source: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" }, // deposit a fee was withheld from
+  note: String,
+  refunds: [refundSchema],
+  amountRefunded: { type: Number, default: 0 } // sum of succeeded refunds
 }, { timestamps: true });
 
+paymentSchema.index({ "refunds.refundId": 1 }, { sparse: true });
+
 const Payment = mongoose.model("Payment", paymentSchema);
 export default Payment;
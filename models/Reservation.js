@@ -1,17 +1,102 @@
 import mongoose from "mongoose";
+import { RESERVATION_STATUSES } from "../utils/reservationStatus.js";
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// contact details for bookings taken by staff for people without an account
+const guestSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+  },
+  { _id: false }
+);
+
+// menu items ordered ahead; name and price are copied from the menu so later edits do not change the order
+const preOrderItemSchema = new mongoose.Schema(
+  {
+    menuItem: { type: mongoose.Schema.Types.ObjectId }, // id in Restaurant.menuItems
+    name: { type: String, required: true },
+    unitPrice: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    notes: { type: String, trim: true },
+    lineTotal: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const preOrderSchema = new mongoose.Schema(
+  {
+    items: [preOrderItemSchema],
+    notes: { type: String, trim: true },
+    total: { type: Number, default: 0 },
+    currency: { type: String },
+    updatedAt: { type: Date },
+    paidAt: { type: Date }, // set when its payment completes; the order is locked from then on
+  },
+  { _id: false }
+);
+
+export const RESERVATION_SOURCES = ["online", "phone", "walk_in", "import"];
 
 const reservationSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // empty for staff bookings until the guest signs up
+    guest: { type: guestSchema },
+    source: { type: String, enum: RESERVATION_SOURCES, default: "online" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // staff member for phone / walk-in / imported bookings
+    externalRef: { type: String }, // id in the booking tool it was imported from (re-imports skip it)
     restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
-    date: { type: String, required: true },   // ✅ store as string
-    time: { type: String, required: true },   // ✅ store as string
+    date: { type: String, required: true },   // local "YYYY-MM-DD" at the restaurant (display)
+    time: { type: String, required: true },   // local "HH:MM" at the restaurant (display)
+    startAt: { type: Date, index: true },     // canonical start instant (restaurant timezone applied)
+    endAt: { type: Date },                    // startAt + turn time; tables are busy until then
     partySize: { type: Number, required: true },
-    status: { type: String, default: "pending" },
+    tables: [{ type: mongoose.Schema.Types.ObjectId }], // ids of Restaurant.tables assigned
+    area: { type: String }, // optional seating preference (patio, bar...)
+    status: { type: String, enum: RESERVATION_STATUSES, default: "pending" },
+    statusHistory: [statusHistorySchema], // changes go through utils/reservationStatus.js
+    holdExpiresAt: { type: Date }, // set while status is "held" (waitlist offer)
+    manageTokenVersion: { type: Number, default: 0 }, // bump to revoke guest manage links
+    bookingRequest: { type: mongoose.Schema.Types.ObjectId, ref: "BookingRequest" }, // large-party / private-dining origin
+    depositAmount: { type: Number, default: 0 }, // required before confirmation (paid via /api/payments)
+    preOrder: { type: preOrderSchema }, // services/preOrders.js
+    lateCancelFee: { type: Number }, // set when a guest cancelled inside the free-cancel window
+    calendarSequence: { type: Number, default: 0 }, // iCalendar SEQUENCE; bumped when the event changes
   },
   { timestamps: true }
 );
 
+// every booking needs someone to contact: an account or at least a guest name
+reservationSchema.pre("validate", function (next) {
+  if (!this.user && !this.guest?.name) {
+    this.invalidate("guest.name", "Guest name is required when no user is linked");
+  }
+  next();
+});
+
+// calendar clients only replace an event whose SEQUENCE went up
+const CALENDAR_FIELDS = ["date", "time", "startAt", "endAt", "status", "partySize", "restaurant", "area"];
+reservationSchema.pre("save", function (next) {
+  if (!this.isNew && CALENDAR_FIELDS.some((f) => this.isModified(f))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+  next();
+});
+
+reservationSchema.index({ "guest.email": 1 }, { sparse: true });
+reservationSchema.index({ restaurant: 1, externalRef: 1 }, { sparse: true });
+
 const Reservation = mongoose.model("Reservation", reservationSchema);
 
 export default Reservation;
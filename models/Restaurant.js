@@ -1,4 +1,49 @@
 import mongoose from "mongoose";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/time.js";
+
+// physical tables; combinable tables in the same area can be joined for bigger parties
+const tableSchema = new mongoose.Schema({
+  label: { type: String, required: true }, // e.g. "T1", "Patio 4"
+  minSeats: { type: Number, default: 1, min: 1 },
+  maxSeats: { type: Number, required: true, min: 1 },
+  area: { type: String, default: "main" }, // e.g. "main", "patio", "bar"
+  combinable: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+});
+
+// per-date overrides of the weekly schedule (holidays, private events, special hours)
+const dateExceptionSchema = new mongoose.Schema({
+  date: { type: String, required: true }, // YYYY-MM-DD
+  closed: { type: Boolean, default: false }, // closed all day
+  hours: { type: String }, // replaces the weekly hours for this date, e.g. "18:00-02:00"
+  capacityLimit: { type: Number, min: 0 }, // max tables booked at once
+  capacityFrom: { type: String }, // "HH:MM" window for capacityLimit (whole day when unset)
+  capacityTo: { type: String },
+  note: { type: String },
+});
+
+// turn time by party size, e.g. { minPartySize: 5, minutes: 120 }
+const turnTimeRuleSchema = new mongoose.Schema(
+  {
+    minPartySize: { type: Number, default: 1 },
+    maxPartySize: { type: Number }, // open-ended when unset
+    minutes: { type: Number, required: true, min: 5 },
+  },
+  { _id: false }
+);
+
+// see utils/deposits.js; first matching rule wins
+const depositRuleSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["flat", "per_person", "percent_preorder"], default: "flat" },
+    amount: { type: Number, min: 0 }, // flat / per_person
+    percent: { type: Number, min: 0, max: 100 }, // percent_preorder
+    days: [{ type: String }], // weekday names; empty = every day
+    minPartySize: { type: Number },
+    maxPartySize: { type: Number },
+  },
+  { _id: false }
+);
 
 const restaurantSchema = new mongoose.Schema(
   {
@@ -26,12 +71,42 @@ const restaurantSchema = new mongoose.Schema(
       saturday: String,
       sunday: String,
     },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE, // IANA name, e.g. "Europe/Paris"; hours and bookings are local to it
+      validate: { validator: isValidTimeZone, message: "Invalid timezone" },
+    },
+    slotIntervalMinutes: { type: Number, default: 30 }, // spacing of bookable slots
+    lastSeatingMinutes: { type: Number, default: 60 }, // last slot = closing time minus this
+    dateExceptions: [dateExceptionSchema],
+    turnTimeMinutes: { type: Number, default: 90 }, // how long a party occupies its table
+    turnTimeRules: [turnTimeRuleSchema], // first match by party size wins over turnTimeMinutes
 
     owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-    tablesPerSlot: { type: Number, default: 10 },
+    tablesPerSlot: { type: Number, default: 10 }, // used only when no tables are configured
+    tables: [tableSchema],
+    largePartyThreshold: { type: Number, default: null }, // parties above this become booking requests (null = off)
+    largePartyDeposit: { type: Number, default: 0 }, // default deposit asked when accepting a request (0 = none)
+    currency: { type: String, default: "usd", lowercase: true }, // ISO 4217 code used for deposits and fees
+    depositRules: [depositRuleSchema],
+    calendarToken: { type: String, index: { unique: true, sparse: true }, select: false }, // owner .ics feed secret
+    cancellationPolicy: {
+      freeCancelHours: { type: Number, default: 0, min: 0 }, // later guest cancels are "late" (0 = always free)
+      lateCancelFee: { type: Number, default: 0, min: 0 }, // charged or withheld from the deposit on a late cancel
+      noModifyWithinHours: { type: Number, default: 0, min: 0 }, // guests cannot change the booking closer than this
+      lateCancelRefundPercent: { type: Number, default: 100, min: 0, max: 100 }, // deposit share refunded on a late cancel
+    },
+    // maintained from reviews by services/ratings.js (npm run ratings:recompute rebuilds it)
+    rating: {
+      average: { type: Number, default: 0 }, // 0 while there are no reviews
+      count: { type: Number, default: 0 },
+      distribution: { type: [Number], default: () => [0, 0, 0, 0, 0] }, // index 0 = 1 star ... index 4 = 5 stars
+    },
   },
   { timestamps: true }
 );
 
+restaurantSchema.index({ "rating.average": -1, "rating.count": -1 }); // rating sort in search
+
 const Restaurant = mongoose.model("Restaurant", restaurantSchema);
 export default Restaurant;
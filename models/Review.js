@@ -12,5 +12,7 @@ const reviewSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+reviewSchema.index({ restaurant: 1, rating: 1 }); // rating aggregates (services/ratings.js)
+
 const Review = mongoose.model("Review", reviewSchema);
 export default Review;
@@ -5,7 +5,15 @@ const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ["user", "owner", "admin"], default: "user" }
+  phone: { type: String }, // optional, used for SMS notifications
+  emailVerifiedAt: { type: Date }, // set by the link from services/emailVerification.js
+  role: { type: String, enum: ["user", "owner", "admin"], default: "user" },
+  reputation: { // booking outcomes across all restaurants (see services/guestStats.js)
+    noShows: { type: Number, default: 0 },
+    lateCancels: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 }
+  },
+  calendarToken: { type: String, index: { unique: true, sparse: true }, select: false } // secret for the .ics feed URL
 }, { timestamps: true });
 
 // Encrypt password before save
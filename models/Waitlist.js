@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const waitlistSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    date: { type: String, required: true },
+    time: { type: String, required: true },
+    startAt: { type: Date }, // instant of date/time in the restaurant's timezone
+    partySize: { type: Number, required: true },
+    area: { type: String },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "accepted", "expired", "cancelled"],
+      default: "waiting",
+    },
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" }, // held booking once offered
+    offeredAt: { type: Date },
+    holdExpiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+waitlistSchema.index({ restaurant: 1, status: 1, date: 1, createdAt: 1 });
+
+const Waitlist = mongoose.model("Waitlist", waitlistSchema);
+export default Waitlist;
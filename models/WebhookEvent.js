@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// provider events already handled; a redelivered event id is acknowledged without reprocessing
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: "stripe" },
+    eventId: { type: String, required: true },
+    type: { type: String },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 }); // keep 90 days
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+export default WebhookEvent;
@@ -7,11 +7,14 @@ import {
   getAllReservations,
   cancelReservationByAdmin,
   updateReservationByAdmin,
+  bulkUpdateReservationsByAdmin,
+  exportReservationsByAdmin,
   getAllReviews,
   deleteReviewByAdmin,
   getAllUsers,
   deleteUserByAdmin,
   getRestaurantByIdAdmin,
+  getRevenueReportByAdmin,
 } from "../controllers/adminController.js";
 import { protect, adminOnly } from "../middlewares/authMiddleware.js";
 
@@ -28,6 +31,8 @@ router.delete("/restaurants/:id", deleteRestaurantByAdmin);
 
 // Reservations
 router.get("/reservations", getAllReservations);
+router.get("/reservations/export", exportReservationsByAdmin);
+router.post("/reservations/bulk", bulkUpdateReservationsByAdmin);
 router.put("/reservations/:id/cancel", cancelReservationByAdmin);
 router.put("/reservations/:id", updateReservationByAdmin);
 
@@ -35,6 +40,9 @@ router.put("/reservations/:id", updateReservationByAdmin);
 router.get("/reviews", getAllReviews);
 router.delete("/reviews/:id", deleteReviewByAdmin);
 
+// Reports
+router.get("/reports/revenue", getRevenueReportByAdmin);
+
 // Users (optional)
 router.get("/users", getAllUsers);
 router.delete("/users/:id", deleteUserByAdmin);
@@ -1,9 +1,12 @@
 import express from "express";
-import { registerUser, loginUser } from "../controllers/authController.js";
+import { registerUser, loginUser, verifyEmail, resendVerificationEmail } from "../controllers/authController.js";
+import { protect } from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
+router.post("/verify-email", verifyEmail);
+router.post("/verify-email/resend", protect, resendVerificationEmail);
 
 export default router;
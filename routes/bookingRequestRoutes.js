@@ -0,0 +1,23 @@
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import {
+  createBookingRequest,
+  getMyBookingRequests,
+  getRestaurantBookingRequests,
+  acceptBookingRequestHandler,
+  counterBookingRequestHandler,
+  declineBookingRequest,
+  cancelBookingRequest,
+} from "../controllers/bookingRequestController.js";
+
+const router = express.Router();
+
+router.post("/", protect, createBookingRequest);
+router.get("/me", protect, getMyBookingRequests);
+router.get("/restaurant/:restaurantId", protect, getRestaurantBookingRequests);
+router.put("/:id/accept", protect, acceptBookingRequestHandler);
+router.put("/:id/counter", protect, counterBookingRequestHandler);
+router.put("/:id/decline", protect, declineBookingRequest);
+router.put("/:id/cancel", protect, cancelBookingRequest);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import {
+  downloadReservationIcs,
+  getMyCalendarLink,
+  rotateMyCalendarLink,
+  getRestaurantCalendarLink,
+  rotateRestaurantCalendarLink,
+  getUserFeed,
+  getRestaurantFeed,
+} from "../controllers/calendarController.js";
+
+const router = express.Router();
+
+// subscribable feeds (calendar apps cannot send auth headers; the token is the secret)
+router.get("/feeds/users/:token.ics", getUserFeed);
+router.get("/feeds/restaurants/:token.ics", getRestaurantFeed);
+
+router.get("/reservations/:id.ics", protect, downloadReservationIcs);
+router.get("/me", protect, getMyCalendarLink);
+router.post("/me/rotate", protect, rotateMyCalendarLink);
+router.get("/restaurants/:id", protect, getRestaurantCalendarLink);
+router.post("/restaurants/:id/rotate", protect, rotateRestaurantCalendarLink);
+
+export default router;
@@ -1,10 +1,28 @@
 import express from "express";
 import { protect } from "../middlewares/authMiddleware.js";
-import { createPayment, stripeWebhook } from "../controllers/paymentController.js";
+import {
+  createPayment,
+  fakeCheckoutAction,
+  fakeCheckoutPage,
+  getDepositQuote,
+  getMyFees,
+  getPaymentStatus,
+  getReservationPayments,
+  paymentWebhook,
+  refundPaymentByStaff,
+} from "../controllers/paymentController.js";
 
 const router = express.Router();
 
 router.post("/", protect, createPayment);
-router.post("/webhook", express.raw({ type: "application/json" }), stripeWebhook);
+router.get("/quote", protect, getDepositQuote);
+router.get("/fees", protect, getMyFees);
+router.get("/session/:sessionId", protect, getPaymentStatus);
+router.get("/reservation/:reservationId", protect, getReservationPayments);
+router.post("/:id/refund", protect, refundPaymentByStaff);
+router.post("/webhook", express.raw({ type: "application/json" }), paymentWebhook);
+// local checkout of the fake provider (404 unless PAYMENT_PROVIDER=fake)
+router.get("/fake/checkout/:id", fakeCheckoutPage);
+router.post("/fake/checkout/:id/:outcome", fakeCheckoutAction);
 
 export default router;
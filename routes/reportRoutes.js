@@ -0,0 +1,9 @@
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import { getRevenueReport } from "../controllers/reportController.js";
+
+const router = express.Router();
+
+router.get("/revenue", protect, getRevenueReport);
+
+export default router;
@@ -1,18 +1,45 @@
 import express from "express";
 import { protect } from "../middlewares/authMiddleware.js";
+import { loadManagedReservation } from "../middlewares/manageTokenMiddleware.js";
 import {
   createReservation,
+  createStaffBooking,
+  bulkUpdateReservations,
+  exportOwnerReservations,
+  importOwnerReservations,
   getMyReservations,
-  cancelReservation, getOwnerReservations, updateReservation, updateReservationStatus
+  cancelReservation, getOwnerReservations, updateReservation, updateReservationStatus,
+  createManageLink,
+  revokeManageLinks,
+  getManagedReservation,
+  updateManagedReservation,
+  cancelManagedReservation,
+  updatePreOrder,
+  deletePreOrder,
+  updateManagedPreOrder,
 } from "../controllers/reservationController.js";
 
 const router = express.Router();
 
+// guest self-service via signed link (no login)
+router.get("/manage/:token", loadManagedReservation, getManagedReservation);
+router.put("/manage/:token", loadManagedReservation, updateManagedReservation);
+router.put("/manage/:token/cancel", loadManagedReservation, cancelManagedReservation);
+router.put("/manage/:token/pre-order", loadManagedReservation, updateManagedPreOrder);
+
 router.post("/", protect, createReservation);
+router.post("/staff", protect, createStaffBooking);
 router.get("/me", protect, getMyReservations);
 router.put("/:id/cancel", protect, cancelReservation);
 router.get("/owner", protect, getOwnerReservations);
+router.get("/owner/export", protect, exportOwnerReservations);
+router.post("/bulk", protect, bulkUpdateReservations);
+router.post("/import", protect, express.text({ type: "text/csv", limit: "5mb" }), importOwnerReservations);
 router.put("/:id", protect, updateReservation);
 router.put("/:id/status", protect, updateReservationStatus);
+router.put("/:id/pre-order", protect, updatePreOrder);
+router.delete("/:id/pre-order", protect, deletePreOrder);
+router.post("/:id/manage-link", protect, createManageLink);
+router.post("/:id/manage-link/revoke", protect, revokeManageLinks);
 
 export default router;
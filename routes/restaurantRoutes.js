@@ -8,10 +8,19 @@ import {
   getMyRestaurants,
   searchRestaurants,
   getAvailability,
+  getSlots,
   addMenuItem,
   updateMenuItem,
   deleteMenuItem,
   deleteRestaurant,
+  getTables,
+  addTable,
+  updateTable,
+  deleteTable,
+  getDateExceptions,
+  addDateException,
+  updateDateException,
+  deleteDateException,
 } from "../controllers/restaurantController.js";
 import { protect } from "../middlewares/authMiddleware.js";
 import { upload } from "../middlewares/uploadMiddleware.js"; // multer middleware
@@ -31,6 +40,7 @@ router.get("/my", protect, getMyRestaurants);
 // restaurant details & availability
 router.get("/:id", getRestaurantById);
 router.get("/:id/availability", getAvailability);
+router.get("/:id/slots", getSlots);
 
 // update (allow photos upload)
 router.put("/:id", protect, upload.array("photos", 6), updateRestaurant);
@@ -43,4 +53,16 @@ router.post("/:id/menu", protect, addMenuItem);
 router.put("/:id/menu/:itemId", protect, updateMenuItem);
 router.delete("/:id/menu/:itemId", protect, deleteMenuItem);
 
+// table inventory
+router.get("/:id/tables", getTables);
+router.post("/:id/tables", protect, addTable);
+router.put("/:id/tables/:tableId", protect, updateTable);
+router.delete("/:id/tables/:tableId", protect, deleteTable);
+
+// date exceptions (closures, special hours, reduced capacity)
+router.get("/:id/exceptions", getDateExceptions);
+router.post("/:id/exceptions", protect, addDateException);
+router.put("/:id/exceptions/:exceptionId", protect, updateDateException);
+router.delete("/:id/exceptions/:exceptionId", protect, deleteDateException);
+
 export default router;
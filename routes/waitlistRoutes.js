@@ -0,0 +1,19 @@
+import express from "express";
+import { protect } from "../middlewares/authMiddleware.js";
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  getRestaurantWaitlist,
+  acceptWaitlistOffer,
+  cancelWaitlistEntry,
+} from "../controllers/waitlistController.js";
+
+const router = express.Router();
+
+router.post("/", protect, joinWaitlist);
+router.get("/me", protect, getMyWaitlist);
+router.get("/restaurant/:restaurantId", protect, getRestaurantWaitlist);
+router.put("/:id/accept", protect, acceptWaitlistOffer);
+router.put("/:id/cancel", protect, cancelWaitlistEntry);
+
+export default router;
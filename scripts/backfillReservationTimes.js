@@ -0,0 +1,54 @@
+// scripts/backfillReservationTimes.js
+// One-off: normalize stored date/time strings ("7:00" -> "07:00") and fill Reservation.startAt/endAt
+// from each restaurant's timezone and turn time. Safe to re-run.
+//   npm run backfill:reservation-times
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import { reservationWindow } from "../services/availability.js";
+import { normalizeTime } from "../utils/hours.js";
+import { normalizeDate } from "../utils/time.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const restaurants = new Map();
+  let updated = 0;
+  let skipped = 0;
+
+  const cursor = Reservation.find({
+    $or: [{ startAt: { $exists: false } }, { startAt: null }, { endAt: { $exists: false } }, { endAt: null }],
+  }).cursor();
+  for await (const reservation of cursor) {
+    const key = reservation.restaurant.toString();
+    if (!restaurants.has(key)) restaurants.set(key, await Restaurant.findById(key).select("timezone turnTimeMinutes turnTimeRules"));
+    const restaurant = restaurants.get(key);
+
+    const date = normalizeDate(reservation.date);
+    const time = normalizeTime(reservation.time);
+    if (!restaurant || !date || !time) {
+      skipped += 1;
+      console.warn(`skipped reservation ${reservation._id} (${reservation.date} ${reservation.time})`);
+      continue;
+    }
+
+    await Reservation.updateOne(
+      { _id: reservation._id },
+      { date, time, ...reservationWindow(restaurant, date, time, reservation.partySize) }
+    );
+    updated += 1;
+  }
+
+  console.log(`startAt/endAt backfilled: ${updated} updated, ${skipped} skipped`);
+};
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
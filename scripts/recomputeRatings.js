@@ -0,0 +1,23 @@
+// scripts/recomputeRatings.js
+// Rebuild Restaurant.rating (average, count, star distribution) from all reviews.
+// Needed once for data from before ratings were maintained; safe to re-run any time.
+//   npm run ratings:recompute
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { recomputeAllRatings } from "../services/ratings.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+  const { restaurants, rated } = await recomputeAllRatings();
+  console.log(`ratings recomputed: ${restaurants} restaurants, ${rated} with reviews`);
+};
+
+run()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -10,8 +10,14 @@ import reservationRoutes from "./routes/reservationRoutes.js";
 import reviewRoutes from "./routes/reviewRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
+import waitlistRoutes from "./routes/waitlistRoutes.js";
+import bookingRequestRoutes from "./routes/bookingRequestRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
 import path from "path";
 import { initSocket } from "./socket.js"; // must exist
+import { startWaitlistSweeper } from "./services/waitlist.js";
+import { startNotificationWorker } from "./services/notifications/index.js";
 
 dotenv.config();
 connectDB();
@@ -19,7 +25,8 @@ connectDB();
 const app = express();
 app.use(cors());
 
-app.use(express.json());
+// the payment webhook needs the raw body for signature verification (route uses express.raw)
+app.use((req, res, next) => (req.path === "/api/payments/webhook" ? next() : express.json()(req, res, next)));
 
 // Routes
 app.use("/api/auth", authRoutes);
@@ -28,6 +35,10 @@ app.use("/api/reservations", reservationRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/booking-requests", bookingRequestRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/reports", reportRoutes);
 app.use("/uploads", express.static(path.join(path.resolve(), "uploads")));
 
 // create HTTP server so socket.io can bind to it
@@ -37,6 +48,10 @@ const server = http.createServer(app);
 // initialize socket.io with the server
 initSocket(server);
 
+// background jobs
+startWaitlistSweeper();
+startNotificationWorker();
+
 // start listening
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => console.log(`Server (HTTP+Socket) running on port ${PORT}`));
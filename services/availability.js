@@ -0,0 +1,218 @@
+// services/availability.js
+import Reservation from "../models/Reservation.js";
+import { findTablesForParty, totalSeats } from "../utils/tableAssignment.js";
+import { RELEASED_STATUSES } from "../utils/reservationStatus.js";
+import { addDays, capacityLimitFor } from "../utils/hours.js";
+import { localToInstant } from "../utils/time.js";
+
+export const DEFAULT_TURN_TIME = 90; // minutes a party occupies its table(s)
+const DEFAULT_PARTY_SIZE = 2; // used to size the window when the caller does not give a party size
+const MINUTE = 60 * 1000;
+
+/**
+ * Reservations that occupy capacity: not cancelled/no-show, and waitlist holds only until they expire
+ */
+export const activeReservationFilter = () => ({
+  status: { $nin: RELEASED_STATUSES },
+  $or: [{ status: { $ne: "held" } }, { holdExpiresAt: { $gt: new Date() } }],
+});
+
+/**
+ * Turn time (minutes) for a party: first matching turnTimeRules entry, else turnTimeMinutes
+ */
+export const turnTimeFor = (restaurant, partySize) => {
+  const size = Number(partySize) || DEFAULT_PARTY_SIZE;
+  const rule = (restaurant.turnTimeRules || []).find(
+    (r) => size >= (r.minPartySize || 1) && (!r.maxPartySize || size <= r.maxPartySize)
+  );
+  return rule?.minutes || restaurant.turnTimeMinutes || DEFAULT_TURN_TIME;
+};
+
+/**
+ * { startAt, endAt } a booking occupies at a restaurant (null startAt when date/time are invalid)
+ */
+export const reservationWindow = (restaurant, date, time, partySize) => {
+  const startAt = localToInstant(restaurant, date, time);
+  if (!startAt) return { startAt: null, endAt: null };
+  return { startAt, endAt: new Date(startAt.getTime() + turnTimeFor(restaurant, partySize) * MINUTE) };
+};
+
+/**
+ * Time span of a stored reservation (rows from before startAt/endAt existed are derived from date/time)
+ */
+const spanOf = (restaurant, r) => {
+  if (r.startAt && r.endAt) return { start: new Date(r.startAt).getTime(), end: new Date(r.endAt).getTime() };
+  const { startAt, endAt } = reservationWindow(restaurant, r.date, r.time, r.partySize);
+  return startAt ? { start: startAt.getTime(), end: endAt.getTime() } : null;
+};
+
+const overlaps = (span, start, end) => span && span.start < end && span.end > start;
+
+/**
+ * Most reservations in progress at the same moment inside [start, end)
+ */
+const peakConcurrency = (spans, start, end) => {
+  const events = [];
+  for (const s of spans) {
+    events.push([Math.max(s.start, start), 1]);
+    events.push([Math.min(s.end, end), -1]);
+  }
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]); // ends before starts at the same instant
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    peak = Math.max(peak, current);
+  }
+  return peak;
+};
+
+/**
+ * Legacy capacity: number of bookings allowed per slot when no tables are configured
+ */
+export const legacyCapacity = (restaurant) =>
+  (typeof restaurant.tablesPerSlot === "number" && restaurant.tablesPerSlot) ||
+  (typeof restaurant.capacity === "number" && restaurant.capacity) ||
+  10;
+
+/**
+ * Active tables configured on a restaurant
+ */
+export const activeTables = (restaurant) =>
+  Array.isArray(restaurant.tables) ? restaurant.tables.filter((t) => t.active !== false) : [];
+
+/**
+ * True when the restaurant has a table inventory (otherwise fall back to tablesPerSlot)
+ */
+export const usesTableInventory = (restaurant) => activeTables(restaurant).length > 0;
+
+/**
+ * Capacity of the restaurant in tables (table inventory or legacy tablesPerSlot)
+ */
+export const tableCapacity = (restaurant) =>
+  usesTableInventory(restaurant) ? activeTables(restaurant).length : legacyCapacity(restaurant);
+
+/**
+ * Summarize a booking window from the reservations that overlap it.
+ * Returns { mode, capacity, booked, available, canSeat, tables, seatsAvailable }
+ *  - tables: ids of the tables that would be assigned (table inventory mode only)
+ *  - limit: table cap from a reduced-capacity date exception (null = none)
+ */
+const summarizeWindow = (restaurant, spans, { start, end, partySize, area, limit = null }) => {
+  const cap = (n) => (limit === null ? n : Math.min(n, limit));
+
+  if (!usesTableInventory(restaurant)) {
+    // without tables, capacity is how many parties can be in the room at once
+    const capacity = cap(legacyCapacity(restaurant));
+    const booked = peakConcurrency(spans, start, end);
+    const available = Math.max(0, capacity - booked);
+    return { mode: "slots", capacity, booked, available, canSeat: available > 0, tables: [], seatsAvailable: null };
+  }
+
+  // a table is taken if any reservation on it overlaps the window
+  const tables = activeTables(restaurant);
+  const occupied = new Set(spans.flatMap((s) => (s.tables || []).map((t) => t.toString())));
+
+  const freeTables = tables.filter((t) => !occupied.has(t._id.toString()));
+  const capacity = cap(tables.length);
+  const booked = tables.length - freeTables.length;
+  const available = Math.max(0, Math.min(freeTables.length, capacity - booked));
+
+  let assignment = partySize ? findTablesForParty(tables, partySize, { occupied, area }) : null;
+  if (assignment && booked + assignment.length > capacity) assignment = null;
+
+  return {
+    mode: "tables",
+    capacity,
+    booked,
+    available,
+    canSeat: partySize ? Boolean(assignment) : available > 0,
+    tables: assignment ? assignment.map((t) => t._id) : [],
+    seatsAvailable: available > 0 ? totalSeats(freeTables) : 0,
+  };
+};
+
+/**
+ * Active reservations that may overlap [start, end) at a restaurant, as spans
+ */
+const findOverlapping = async (restaurant, { start, end, dates, excludeId }) => {
+  const filter = {
+    restaurant: restaurant._id,
+    ...activeReservationFilter(),
+    $and: [
+      {
+        $or: [
+          { startAt: { $lt: new Date(end) }, endAt: { $gt: new Date(start) } },
+          { endAt: { $exists: false }, date: { $in: dates } }, // rows from before durations existed
+        ],
+      },
+    ],
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const reservations = await Reservation.find(filter).select("tables date time partySize startAt endAt").lean();
+  return reservations
+    .map((r) => ({ ...spanOf(restaurant, r), tables: r.tables }))
+    .filter((s) => overlaps(s, start, end));
+};
+
+/**
+ * Check whether a party can be seated at restaurant/date/time for its whole turn time.
+ *
+ * @param {Object} restaurant Restaurant document (tables / tablesPerSlot / turn times / timezone)
+ * @param {{ date: string, time: string, partySize: number, area?: string, excludeId?: any, pending?: Array }} slot
+ *   pending: unsaved bookings ({ startAt, endAt, tables }) to count as taken, e.g. earlier rows of an import dry run
+ */
+export const checkSlotAvailability = async (restaurant, { date, time, partySize, area, excludeId, pending = [] }) => {
+  const { startAt, endAt } = reservationWindow(restaurant, date, time, partySize);
+  if (!startAt) return { ...summarizeWindow(restaurant, [], { start: 0, end: 0 }), canSeat: false };
+
+  const start = startAt.getTime();
+  const end = endAt.getTime();
+  const spans = await findOverlapping(restaurant, {
+    start,
+    end,
+    dates: [addDays(date, -1), date, addDays(date, 1)],
+    excludeId,
+  });
+  for (const r of pending) {
+    const span = spanOf(restaurant, r);
+    if (overlaps(span, start, end)) spans.push({ ...span, tables: r.tables });
+  }
+
+  return summarizeWindow(restaurant, spans, {
+    start,
+    end,
+    partySize,
+    area,
+    limit: capacityLimitFor(restaurant, date, time),
+  });
+};
+
+/**
+ * Availability for several slot times on one date with a single query.
+ * Returns [{ time, ...summary }] in the order of `times`.
+ */
+export const getSlotsAvailability = async (restaurant, { date, times, partySize, area }) => {
+  const windows = times.map((time) => {
+    const { startAt, endAt } = reservationWindow(restaurant, date, time, partySize);
+    return { time, start: startAt?.getTime(), end: endAt?.getTime() };
+  });
+  const valid = windows.filter((w) => w.start !== undefined);
+  if (!valid.length) return [];
+
+  const spans = await findOverlapping(restaurant, {
+    start: Math.min(...valid.map((w) => w.start)),
+    end: Math.max(...valid.map((w) => w.end)),
+    dates: [addDays(date, -1), date, addDays(date, 1)],
+  });
+
+  return valid.map(({ time, start, end }) => ({
+    time,
+    ...summarizeWindow(
+      restaurant,
+      spans.filter((s) => overlaps(s, start, end)),
+      { start, end, partySize, area, limit: capacityLimitFor(restaurant, date, time) }
+    ),
+  }));
+};
@@ -0,0 +1,49 @@
+// services/bookingLock.js
+import crypto from "crypto";
+import BookingLock from "../models/BookingLock.js";
+import { httpError } from "../utils/httpError.js";
+
+const LOCK_TTL_MS = 10 * 1000; // a crashed holder blocks bookings for at most this long
+const LOCK_WAIT_MS = 5 * 1000; // give up acquiring after this long
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const acquire = async (key, holder) => {
+  await BookingLock.init(); // unique index must exist before it can guard anything
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      await BookingLock.create({ key, holder, expiresAt: new Date(Date.now() + LOCK_TTL_MS) });
+      return;
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      // lock is held: steal it only if it expired (TTL monitor runs once a minute)
+      await BookingLock.deleteOne({ key, expiresAt: { $lt: new Date() } });
+    }
+    if (Date.now() > deadline) {
+      throw httpError(503, "Booking system is busy, please try again");
+    }
+    await sleep(15 + Math.floor(Math.random() * 35));
+  }
+};
+
+/**
+ * Run fn while holding the booking lock for a restaurant.
+ * Every capacity check + write (create, reschedule, admin edit) goes through here so two
+ * requests can never both see the last free table.
+ *
+ * @param {string|ObjectId} restaurantId
+ * @param {Function} fn async callback; its return value is passed through
+ */
+export const withRestaurantLock = async (restaurantId, fn) => {
+  const key = `restaurant:${restaurantId}`;
+  const holder = crypto.randomUUID();
+  await acquire(key, holder);
+  try {
+    return await fn();
+  } finally {
+    await BookingLock.deleteOne({ key, holder }).catch((err) =>
+      console.warn("release booking lock failed:", err?.message || err)
+    );
+  }
+};
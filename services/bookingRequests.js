@@ -0,0 +1,246 @@
+// services/bookingRequests.js
+// Large-party and private-dining requests: the guest proposes times, the owner accepts, declines
+// or counters, and acceptance creates the reservation (pending until the deposit is paid, if any).
+import BookingRequest from "../models/BookingRequest.js";
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability, reservationWindow } from "./availability.js";
+import { withRestaurantLock } from "./bookingLock.js";
+import { cancelReservationRecord } from "./reservations.js";
+import { triggerReservationNotification } from "./notifications/index.js";
+import { normalizeTime } from "../utils/hours.js";
+import { localToInstant, normalizeDate } from "../utils/time.js";
+import { applyStatusChange, initialStatusEntry } from "../utils/reservationStatus.js";
+import { httpError } from "../utils/httpError.js";
+
+// requests the owner can still answer
+export const OPEN_REQUEST_STATUSES = ["pending", "countered"];
+
+const emitRequest = (event, request) => {
+  const restaurantId = request.restaurant?._id || request.restaurant;
+  const userId = request.user?._id || request.user;
+  safeEmit(event, request, `restaurant_${restaurantId}`);
+  safeEmit(event, request, `user_${userId}`);
+};
+
+/**
+ * Does a party of this size need owner approval at this restaurant?
+ */
+export const needsApproval = (restaurant, partySize) => {
+  const threshold = Number(restaurant?.largePartyThreshold);
+  return threshold > 0 && Number(partySize) > threshold;
+};
+
+/**
+ * Validate a local date/time pair and make sure it is still in the future.
+ */
+const normalizeSlot = (restaurant, value = {}) => {
+  const date = normalizeDate(value.date);
+  const time = normalizeTime(value.time);
+  if (!date || !time) throw httpError(400, "Invalid date or time (YYYY-MM-DD, HH:MM)");
+  const startAt = localToInstant(restaurant, date, time);
+  if (!startAt || startAt <= new Date()) throw httpError(400, `${date} ${time} is in the past`);
+  return { date, time };
+};
+
+/**
+ * Create a request from raw input.
+ *
+ * @param {Object} restaurant Restaurant document
+ * @param {ObjectId} userId guest
+ * @param {{ partySize, preferredTimes?: [{ date, time }], date?, time?, kind?, area?, notes? }} input
+ */
+export const submitBookingRequest = async (restaurant, userId, input = {}) => {
+  const partySize = Number(input.partySize);
+  if (!Number.isInteger(partySize) || partySize < 1) throw httpError(400, "Invalid party size");
+
+  const kind = input.kind || "large_party";
+  if (!["large_party", "private_dining", "approval_required"].includes(kind)) {
+    throw httpError(400, `Invalid request kind: ${kind}`);
+  }
+
+  const raw = Array.isArray(input.preferredTimes) && input.preferredTimes.length
+    ? input.preferredTimes
+    : [{ date: input.date, time: input.time }];
+  const preferredTimes = raw.slice(0, 5).map((t) => normalizeSlot(restaurant, t));
+
+  const request = await BookingRequest.create({
+    user: userId,
+    restaurant: restaurant._id,
+    kind,
+    partySize,
+    preferredTimes,
+    area: input.area,
+    notes: input.notes,
+  });
+
+  emitRequest("bookingRequestCreated", request);
+  return request;
+};
+
+/**
+ * Accept a request at one time and create its reservation.
+ * Without a deposit the reservation is confirmed straight away; with one it stays pending
+ * until the payment webhook calls confirmDepositPaid.
+ *
+ * @param {Object} request BookingRequest document (pending or countered)
+ * @param {{ date?, time?, depositAmount?, override?, note?, by }} options
+ *   date/time default to the guest's first preference; override books even when tables cannot be combined
+ */
+export const acceptBookingRequest = async (request, { date, time, depositAmount, override, note, by } = {}) => {
+  if (!OPEN_REQUEST_STATUSES.includes(request.status)) {
+    throw httpError(400, `Request is already ${request.status}`);
+  }
+
+  const restaurant = await Restaurant.findById(request.restaurant);
+  if (!restaurant) throw httpError(404, "Restaurant not found");
+
+  const first = request.preferredTimes[0] || {};
+  const slot = normalizeSlot(restaurant, { date: date || first.date, time: time || first.time });
+  const deposit = depositAmount !== undefined && depositAmount !== "" ? Number(depositAmount) : Number(restaurant.largePartyDeposit) || 0;
+  if (!Number.isFinite(deposit) || deposit < 0) throw httpError(400, "Invalid deposit amount");
+
+  const { startAt, endAt } = reservationWindow(restaurant, slot.date, slot.time, request.partySize);
+  const status = deposit > 0 ? "pending" : "confirmed";
+
+  const reservation = await withRestaurantLock(restaurant._id, async () => {
+    const availability = await checkSlotAvailability(restaurant, {
+      date: slot.date,
+      time: slot.time,
+      partySize: request.partySize,
+      area: request.area,
+    });
+    if (!availability.canSeat && !override) return null;
+
+    return Reservation.create({
+      user: request.user,
+      restaurant: restaurant._id,
+      date: slot.date,
+      time: slot.time,
+      startAt,
+      endAt,
+      partySize: request.partySize,
+      tables: availability.tables,
+      area: request.area,
+      status,
+      statusHistory: [initialStatusEntry(status, by, "booking request accepted")],
+      bookingRequest: request._id,
+      depositAmount: deposit,
+    });
+  });
+  if (!reservation) throw httpError(409, "No tables free for this party at that time; counter-propose or accept with override");
+
+  request.status = deposit > 0 ? "awaiting_deposit" : "confirmed";
+  request.depositAmount = deposit;
+  request.reservation = reservation._id;
+  request.ownerNote = note ?? request.ownerNote;
+  request.respondedBy = by;
+  request.respondedAt = new Date();
+  await request.save();
+
+  await reservation.populate("user", "name email");
+  await reservation.populate("restaurant", "name location owner");
+  safeEmit("reservationCreated", reservation);
+  safeEmit("reservationCreated", reservation, `restaurant_${restaurant._id}`);
+  emitRequest("bookingRequestUpdated", request);
+  triggerReservationNotification(reservation, "created");
+
+  return { request, reservation };
+};
+
+/**
+ * Owner proposes another time; the guest accepts it with acceptCounterOffer.
+ */
+export const counterBookingRequest = async (request, { date, time, note, depositAmount, by } = {}) => {
+  if (!OPEN_REQUEST_STATUSES.includes(request.status)) {
+    throw httpError(400, `Request is already ${request.status}`);
+  }
+  const restaurant = await Restaurant.findById(request.restaurant);
+  if (!restaurant) throw httpError(404, "Restaurant not found");
+
+  const slot = normalizeSlot(restaurant, { date, time });
+  request.status = "countered";
+  request.counterOffer = { ...slot, note };
+  if (depositAmount !== undefined && depositAmount !== "") {
+    if (!Number.isFinite(Number(depositAmount)) || Number(depositAmount) < 0) throw httpError(400, "Invalid deposit amount");
+    request.depositAmount = Number(depositAmount);
+  }
+  request.respondedBy = by;
+  request.respondedAt = new Date();
+  await request.save();
+
+  emitRequest("bookingRequestUpdated", request);
+  return request;
+};
+
+/**
+ * Guest takes the owner's counter-offer (same capacity checks, deposit as set by the owner).
+ */
+export const acceptCounterOffer = async (request, by) => {
+  if (request.status !== "countered" || !request.counterOffer?.date) {
+    throw httpError(400, "There is no counter-offer to accept");
+  }
+  return acceptBookingRequest(request, {
+    date: request.counterOffer.date,
+    time: request.counterOffer.time,
+    depositAmount: request.depositAmount,
+    by,
+  });
+};
+
+/**
+ * Decline (owner) or withdraw (guest) a request; a reservation waiting on its deposit is cancelled too.
+ *
+ * @param {Object} request BookingRequest document
+ * @param {"declined"|"cancelled"} status
+ */
+export const closeBookingRequest = async (request, status, { note, by } = {}) => {
+  const closable = status === "cancelled" ? [...OPEN_REQUEST_STATUSES, "awaiting_deposit"] : OPEN_REQUEST_STATUSES;
+  if (!closable.includes(request.status)) throw httpError(400, `Request is already ${request.status}`);
+
+  if (request.status === "awaiting_deposit" && request.reservation) {
+    const reservation = await Reservation.findById(request.reservation);
+    if (reservation && reservation.status === "pending") {
+      await cancelReservationRecord(reservation, { by, note: note || "booking request withdrawn" });
+    }
+  }
+
+  request.status = status;
+  if (note) request.ownerNote = note;
+  request.respondedBy = by;
+  request.respondedAt = new Date();
+  await request.save();
+
+  emitRequest("bookingRequestUpdated", request);
+  return request;
+};
+
+/**
+ * Called once a deposit payment completes: confirm the reservation and close its request.
+ *
+ * @param {ObjectId} reservationId
+ * @returns {Promise<Object|null>} the confirmed reservation, or null if nothing was waiting
+ */
+export const confirmDepositPaid = async (reservationId) => {
+  const reservation = await Reservation.findById(reservationId);
+  if (!reservation || reservation.status !== "pending" || !(reservation.depositAmount > 0)) return null;
+
+  applyStatusChange(reservation, "confirmed", { note: "deposit paid" });
+  await reservation.save();
+
+  if (reservation.bookingRequest) {
+    const request = await BookingRequest.findOneAndUpdate(
+      { _id: reservation.bookingRequest, status: "awaiting_deposit" },
+      { status: "confirmed" },
+      { new: true }
+    );
+    if (request) emitRequest("bookingRequestUpdated", request);
+  }
+
+  safeEmit("reservationUpdated", reservation);
+  safeEmit("reservationUpdated", reservation, `restaurant_${reservation.restaurant}`);
+  triggerReservationNotification(reservation, "statusChanged");
+
+  return reservation;
+};
@@ -0,0 +1,125 @@
+// services/bulkReservations.js
+// Confirm / cancel / move many reservations at once (owner and admin bulk endpoints).
+// Each item goes through the same service as the single-item handlers, so events and guest
+// notifications are identical; failures are reported per reservation instead of aborting the batch.
+import mongoose from "mongoose";
+import Reservation from "../models/Reservation.js";
+import { buildReservationFilter } from "./reservationQueries.js";
+import {
+  cancelReservationRecord,
+  changeReservationStatus,
+  rescheduleReservation,
+  RESCHEDULABLE_STATUSES,
+} from "./reservations.js";
+import { normalizeTime } from "../utils/hours.js";
+import { httpError } from "../utils/httpError.js";
+
+export const BULK_ACTIONS = ["confirm", "cancel", "move"];
+export const BULK_LIMIT = 500; // reservations per request
+
+// statuses a filter selects when the caller does not pass one
+const DEFAULT_STATUSES = {
+  confirm: ["pending"],
+  cancel: ["pending", "confirmed"],
+  move: RESCHEDULABLE_STATUSES,
+};
+
+/**
+ * Load the reservations a bulk request targets.
+ *
+ * @param {Array|null} restaurantIds restaurants the caller may touch (null = all, for admins)
+ * @param {{ action, ids?: string[], filter?: { restaurant, date, time?, status? } }} body
+ * @returns {Promise<{ reservations: Array, skipped: Array<{ id, ok: false, error }> }>}
+ */
+export const resolveBulkTargets = async (restaurantIds, { action, ids, filter } = {}) => {
+  if (Array.isArray(ids) && ids.length) {
+    if (ids.length > BULK_LIMIT) throw httpError(400, `At most ${BULK_LIMIT} reservations per request`);
+    const skipped = [];
+    const valid = ids.filter((id) => {
+      if (mongoose.Types.ObjectId.isValid(id)) return true;
+      skipped.push({ id, ok: false, error: "Invalid reservation id" });
+      return false;
+    });
+
+    const found = await Reservation.find({ _id: { $in: valid } });
+    const byId = new Map(found.map((r) => [r._id.toString(), r]));
+    const allowed = restaurantIds ? new Set(restaurantIds.map(String)) : null;
+
+    const reservations = [];
+    for (const id of valid) {
+      const reservation = byId.get(String(id));
+      if (!reservation) skipped.push({ id, ok: false, error: "Reservation not found" });
+      else if (allowed && !allowed.has(reservation.restaurant.toString())) {
+        skipped.push({ id, ok: false, error: "Not authorized for this reservation" });
+      } else reservations.push(reservation);
+    }
+    return { reservations, skipped };
+  }
+
+  if (!filter?.restaurant || !filter?.date) {
+    throw httpError(400, "Provide ids or a filter with at least restaurant and date");
+  }
+  const { filter: query, error, status } = await buildReservationFilter(restaurantIds, {
+    restaurant: filter.restaurant,
+    from: filter.date,
+    to: filter.date,
+    status: filter.status || DEFAULT_STATUSES[action].join(","),
+  });
+  if (error) throw httpError(status || 400, error);
+  if (filter.time) {
+    const time = normalizeTime(filter.time);
+    if (!time) throw httpError(400, "Invalid filter time");
+    query.time = time;
+  }
+
+  const reservations = await Reservation.find(query).sort({ startAt: 1 }).limit(BULK_LIMIT + 1);
+  if (reservations.length > BULK_LIMIT) throw httpError(400, `Filter matches more than ${BULK_LIMIT} reservations`);
+  return { reservations, skipped: [] };
+};
+
+/**
+ * Apply one action to every reservation, one at a time.
+ *
+ * @param {Array} reservations Reservation documents
+ * @param {{ action, reason?, to?: { date?, time? }, by }} options to = target slot for "move"
+ * @returns {Promise<Array<{ id, ok, status?, date?, time?, error? }>>}
+ */
+export const runBulkAction = async (reservations, { action, reason, to = {}, by }) => {
+  const results = [];
+  for (const reservation of reservations) {
+    const id = reservation._id.toString();
+    try {
+      if (action === "confirm") {
+        await changeReservationStatus(reservation, "confirmed", { by, note: reason });
+      } else if (action === "cancel") {
+        await cancelReservationRecord(reservation, { by, note: reason });
+      } else if (action === "move") {
+        await rescheduleReservation(reservation, { date: to.date, time: to.time }, { by, reason });
+      }
+      results.push({ id, ok: true, status: reservation.status, date: reservation.date, time: reservation.time });
+    } catch (err) {
+      if (!err.status) console.error("runBulkAction item error:", err);
+      results.push({ id, ok: false, error: err.status ? err.message : "Server error" });
+    }
+  }
+  return results;
+};
+
+/**
+ * Validate, resolve and run a bulk request.
+ *
+ * @returns {Promise<{ action, total, succeeded, failed, results }>}
+ */
+export const performBulkAction = async (restaurantIds, body = {}, by) => {
+  const { action, reason } = body;
+  if (!BULK_ACTIONS.includes(action)) throw httpError(400, `action must be one of ${BULK_ACTIONS.join(", ")}`);
+  if (action === "move" && !body.to?.date && !body.to?.time) {
+    throw httpError(400, "move needs a target: to { date?, time? }");
+  }
+
+  const { reservations, skipped } = await resolveBulkTargets(restaurantIds, body);
+  const results = [...skipped, ...(await runBulkAction(reservations, { action, reason, to: body.to, by }))];
+  const succeeded = results.filter((r) => r.ok).length;
+
+  return { action, total: results.length, succeeded, failed: results.length - succeeded, results };
+};
@@ -0,0 +1,68 @@
+// services/cancellationFees.js
+// Late-cancel fees: withheld from a paid deposit when there is one, otherwise recorded as an
+// outstanding Payment the guest settles through POST /api/payments { feeId }.
+import Payment from "../models/Payment.js";
+import Restaurant from "../models/Restaurant.js";
+import { DEFAULT_CURRENCY } from "../utils/deposits.js";
+
+const restaurantCurrency = async (reservation) => {
+  const restaurant = await Restaurant.findById(reservation.restaurant?._id || reservation.restaurant).select("currency");
+  return (restaurant?.currency || DEFAULT_CURRENCY).toLowerCase();
+};
+
+/**
+ * Record the fee for a late-cancelled reservation.
+ *
+ * @param {Object} reservation Reservation document (already cancelled)
+ * @param {number} fee amount from the restaurant's cancellation policy
+ * @returns {Promise<{ withheld: number, outstanding: number, payments: Array }>}
+ */
+export const chargeLateCancelFee = async (reservation, fee) => {
+  const amount = Number(fee) || 0;
+  const result = { withheld: 0, outstanding: 0, payments: [] };
+  if (amount <= 0) return result;
+
+  const userId = reservation.user?._id || reservation.user;
+  const deposit = await Payment.findOne({
+    reservation: reservation._id,
+    type: { $ne: "late_cancel_fee" },
+    status: "completed",
+  }).sort({ createdAt: 1 });
+  // fees are in the deposit's currency, otherwise the restaurant's
+  const currency = deposit?.currency || (await restaurantCurrency(reservation));
+
+  if (deposit) {
+    result.withheld = Math.min(amount, Number(deposit.amount) || 0);
+    if (result.withheld > 0) {
+      result.payments.push(
+        await Payment.create({
+          user: userId,
+          reservation: reservation._id,
+          amount: result.withheld,
+          currency,
+          type: "late_cancel_fee",
+          status: "completed",
+          source: deposit._id,
+          note: "Withheld from deposit",
+        })
+      );
+    }
+  }
+
+  result.outstanding = amount - result.withheld;
+  if (result.outstanding > 0 && userId) {
+    result.payments.push(
+      await Payment.create({
+        user: userId,
+        reservation: reservation._id,
+        amount: result.outstanding,
+        currency,
+        type: "late_cancel_fee",
+        status: "pending",
+        note: "Late cancellation fee",
+      })
+    );
+  }
+
+  return result;
+};
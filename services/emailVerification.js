@@ -0,0 +1,73 @@
+// services/emailVerification.js
+// Signed, expiring links that prove a user controls their account email. Staff-entered bookings under
+// that email are only attached to the account once it is verified, so registering with someone
+// else's address does not reveal their reservations.
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { enqueueNotification } from "./notifications/index.js";
+import { renderAccountMessage } from "./notifications/templates.js";
+import { linkGuestReservations } from "./reservations.js";
+import { httpError } from "../utils/httpError.js";
+
+const PURPOSE = "email-verify";
+const TOKEN_LIFETIME = "2d";
+
+const secret = () => process.env.EMAIL_VERIFY_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a verification token for the user's current email
+ */
+export const issueEmailVerifyToken = (user) =>
+  jwt.sign({ uid: user._id.toString(), email: user.email, purpose: PURPOSE }, secret(), { expiresIn: TOKEN_LIFETIME });
+
+/**
+ * Verify a token. Returns { userId, email } or null when invalid/expired.
+ */
+export const verifyEmailVerifyToken = (token) => {
+  try {
+    const payload = jwt.verify(token, secret());
+    if (payload.purpose !== PURPOSE || !payload.uid || !payload.email) return null;
+    return { userId: payload.uid, email: payload.email };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Frontend URL for a verification token
+ */
+export const verifyEmailUrl = (token) => `${process.env.FRONTEND_URL || ""}/verify-email/${token}`;
+
+/**
+ * Queue the verification email (no-op for verified accounts)
+ */
+export const sendVerificationEmail = async (user) => {
+  if (user.emailVerifiedAt) return null;
+  const { subject, body } = renderAccountMessage("emailVerification", user.name, {
+    verifyUrl: verifyEmailUrl(issueEmailVerifyToken(user)),
+  });
+  return enqueueNotification({ channel: "email", to: user.email, user: user._id, type: "emailVerification", subject, body });
+};
+
+/**
+ * Mark the email verified and attach staff-entered bookings made under it.
+ * A token issued for an address the account no longer uses is rejected.
+ *
+ * @param {string} token
+ * @returns {Promise<{ user: Object, linked: number }>}
+ */
+export const confirmEmail = async (token) => {
+  const claim = verifyEmailVerifyToken(token);
+  if (!claim) throw httpError(400, "Invalid or expired verification link");
+
+  const user = await User.findOne({ _id: claim.userId, email: claim.email }).select("-password");
+  if (!user) throw httpError(400, "Invalid or expired verification link");
+
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  // idempotent: also picks up bookings staff entered since the first click
+  const linked = await linkGuestReservations(user);
+  return { user, linked };
+};
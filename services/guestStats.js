@@ -0,0 +1,95 @@
+// services/guestStats.js
+// No-show / late-cancel / completed counts per guest (User.reputation) and per restaurant (GuestStat),
+// plus the instant-booking restrictions derived from them (config/bookingRules.js).
+import GuestStat from "../models/GuestStat.js";
+import User from "../models/User.js";
+import bookingRules from "../config/bookingRules.js";
+
+const OUTCOME_FIELDS = { no_show: "noShows", late_cancel: "lateCancels", completed: "completed" };
+
+const idOf = (value) => value?._id || value;
+
+/**
+ * Count one outcome for the reservation's guest. Staff bookings without an account are not tracked.
+ *
+ * @param {Object} reservation
+ * @param {"no_show"|"late_cancel"|"completed"} outcome
+ */
+export const recordGuestOutcome = async (reservation, outcome) => {
+  const field = OUTCOME_FIELDS[outcome];
+  const userId = idOf(reservation.user);
+  if (!field || !userId) return;
+
+  const update = { $inc: { [field]: 1 } };
+  if (outcome === "no_show") update.$set = { lastNoShowAt: new Date() };
+
+  await GuestStat.updateOne({ user: userId, restaurant: idOf(reservation.restaurant) }, update, { upsert: true });
+  await User.updateOne({ _id: userId }, { $inc: { [`reputation.${field}`]: 1 } });
+};
+
+/**
+ * Fire-and-forget: record the outcome when a status change ends in no_show / completed
+ */
+export const trackStatusOutcome = (reservation) => {
+  if (!["no_show", "completed"].includes(reservation.status)) return;
+  recordGuestOutcome(reservation, reservation.status).catch((err) =>
+    console.error("trackStatusOutcome error:", err?.message || err)
+  );
+};
+
+/**
+ * Weighted score used by the booking rules
+ */
+export const reputationScore = (reputation = {}) =>
+  (Number(reputation.noShows) || 0) + (Number(reputation.lateCancels) || 0) * bookingRules.lateCancelWeight;
+
+/**
+ * What a guest may do when booking instantly.
+ *
+ * @param {Object} user document with reputation
+ * @returns {{ score: number, requiresApproval: boolean, depositAmount: number }}
+ */
+export const bookingRestrictionsFor = (user) => {
+  const score = reputationScore(user?.reputation);
+  const { blockThreshold, depositThreshold, depositAmount } = bookingRules;
+  return {
+    score,
+    requiresApproval: blockThreshold > 0 && score >= blockThreshold,
+    depositAmount: depositThreshold > 0 && score >= depositThreshold ? depositAmount : 0,
+  };
+};
+
+/**
+ * Plain reservation objects with guestStats: { total, restaurant } for owner views.
+ * total = User.reputation, restaurant = GuestStat for that restaurant (zeros when none).
+ */
+export const attachGuestStats = async (reservations) => {
+  const userIds = [...new Set(reservations.map((r) => idOf(r.user)?.toString()).filter(Boolean))];
+  if (!userIds.length) return reservations.map((r) => (r.toObject ? r.toObject() : r));
+
+  const [users, stats] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select("reputation").lean(),
+    GuestStat.find({ user: { $in: userIds } }).lean(),
+  ]);
+  const totals = new Map(users.map((u) => [u._id.toString(), u.reputation || {}]));
+  const perRestaurant = new Map(stats.map((s) => [`${s.user}|${s.restaurant}`, s]));
+  const counts = (s = {}) => ({
+    noShows: s.noShows || 0,
+    lateCancels: s.lateCancels || 0,
+    completed: s.completed || 0,
+  });
+
+  return reservations.map((r) => {
+    const plain = r.toObject ? r.toObject() : r;
+    const userId = idOf(plain.user)?.toString();
+    if (!userId) return plain;
+    const restaurantId = idOf(plain.restaurant)?.toString();
+    return {
+      ...plain,
+      guestStats: {
+        total: counts(totals.get(userId)),
+        restaurant: counts(perRestaurant.get(`${userId}|${restaurantId}`)),
+      },
+    };
+  });
+};
@@ -0,0 +1,45 @@
+// services/manageTokens.js
+// Signed, expiring links that let a guest view / reschedule / cancel one reservation without logging in.
+// Tokens carry the reservation's manageTokenVersion; bumping it revokes every link issued so far.
+import jwt from "jsonwebtoken";
+
+const PURPOSE = "reservation-manage";
+const GRACE_MS = 24 * 60 * 60 * 1000; // links keep working for a day after the booking
+const MAX_LIFETIME_MS = 90 * 24 * 60 * 60 * 1000;
+
+const secret = () => process.env.MANAGE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a manage token for a reservation; it expires a day after the booking ends
+ */
+export const issueManageToken = (reservation) => {
+  const end = reservation.endAt || reservation.startAt;
+  const expiresAt = end
+    ? Math.min(new Date(end).getTime() + GRACE_MS, Date.now() + MAX_LIFETIME_MS)
+    : Date.now() + MAX_LIFETIME_MS;
+  const expiresIn = Math.max(60, Math.floor((expiresAt - Date.now()) / 1000));
+
+  return jwt.sign(
+    { rid: reservation._id.toString(), v: reservation.manageTokenVersion || 0, purpose: PURPOSE },
+    secret(),
+    { expiresIn }
+  );
+};
+
+/**
+ * Verify a manage token. Returns { reservationId, version } or null when invalid/expired.
+ */
+export const verifyManageToken = (token) => {
+  try {
+    const payload = jwt.verify(token, secret());
+    if (payload.purpose !== PURPOSE || !payload.rid) return null;
+    return { reservationId: payload.rid, version: payload.v || 0 };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Frontend URL for a manage token
+ */
+export const manageUrl = (token) => `${process.env.FRONTEND_URL || ""}/reservations/manage/${token}`;
@@ -0,0 +1,215 @@
+// services/notifications/index.js
+import Notification from "../../models/Notification.js";
+import Reservation from "../../models/Reservation.js";
+import { CHANNELS, getTransport, isChannelEnabled } from "./transports/index.js";
+import { renderReservationMessage } from "./templates.js";
+import { issueManageToken, manageUrl } from "../manageTokens.js";
+
+const WORKER_INTERVAL_MS = Number(process.env.NOTIFY_WORKER_INTERVAL_MS) || 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// reminder types and how long before the reservation they go out
+export const REMINDERS = [
+  { type: "reminder24h", beforeMs: 24 * 60 * 60 * 1000 },
+  { type: "reminder2h", beforeMs: 2 * 60 * 60 * 1000 },
+];
+
+/**
+ * Start of a reservation as a Date (older rows without startAt fall back to server-local time)
+ */
+export const reservationStart = (reservation) =>
+  reservation.startAt ? new Date(reservation.startAt) : new Date(`${reservation.date}T${reservation.time}:00`);
+
+/**
+ * Write a message to the outbox. Duplicate dedupeKeys are ignored (returns null).
+ */
+export const enqueueNotification = async (message) => {
+  try {
+    return await Notification.create(message);
+  } catch (err) {
+    if (err?.code === 11000) return null; // already queued
+    throw err;
+  }
+};
+
+/**
+ * Recipients for a reservation: [{ channel, to }]
+ * Staff bookings without an account use the guest contact details.
+ */
+const recipientsFor = (reservation) => {
+  const out = [];
+  const contact = reservation.user || reservation.guest || {};
+  if (contact.email && isChannelEnabled("email")) out.push({ channel: "email", to: contact.email });
+  if (contact.phone && isChannelEnabled("sms")) out.push({ channel: "sms", to: contact.phone });
+  return out;
+};
+
+const guestName = (reservation) => reservation.user?.name || reservation.guest?.name;
+
+const loadReservation = (reservationOrId) =>
+  Reservation.findById(reservationOrId._id || reservationOrId)
+    .populate("user", "name email phone")
+    .populate("restaurant", "name location");
+
+/**
+ * Drop reminders that have not gone out yet (cancellation, reschedule)
+ */
+export const cancelPendingReminders = (reservationId) =>
+  Notification.updateMany(
+    { reservation: reservationId, type: { $in: REMINDERS.map((r) => r.type) }, status: "pending" },
+    { status: "cancelled", $unset: { dedupeKey: 1 } } // free the key so the same slot can be re-queued later
+  );
+
+/**
+ * Queue 24h / 2h reminders for the reservation's current slot
+ */
+const scheduleReminders = async (reservation, recipients) => {
+  const start = reservationStart(reservation);
+  if (isNaN(start)) return;
+  const slotKey = start.toISOString();
+
+  for (const { type, beforeMs } of REMINDERS) {
+    const sendAt = new Date(start.getTime() - beforeMs);
+    if (sendAt <= new Date()) continue;
+    const { subject, body } = renderReservationMessage(type, reservation, guestName(reservation));
+    for (const { channel, to } of recipients) {
+      await enqueueNotification({
+        channel,
+        to,
+        user: reservation.user?._id,
+        reservation: reservation._id,
+        type,
+        subject,
+        body,
+        sendAt,
+        dedupeKey: `${type}:${reservation._id}:${slotKey}:${channel}`,
+      });
+    }
+  }
+};
+
+/**
+ * Queue the messages for a reservation event.
+ *
+ * @param {Object|string} reservationOrId
+ * @param {string} event created | statusChanged | cancelled | rescheduled | waitlistOffered
+ * @param {{ reason?: string }} details shown to the guest (why staff moved the booking)
+ */
+export const notifyReservationEvent = async (reservationOrId, event, details = {}) => {
+  const reservation = await loadReservation(reservationOrId);
+  if (!reservation) return;
+
+  const recipients = recipientsFor(reservation);
+  const type = event === "created" ? "confirmation" : event;
+  const extra = ["confirmation", "rescheduled"].includes(type)
+    ? { ...details, manageUrl: manageUrl(issueManageToken(reservation)) }
+    : { ...details };
+  const { subject, body } = renderReservationMessage(type, reservation, guestName(reservation), extra);
+
+  // one message per event/state so retries of the same request do not double-send
+  const keyPart = {
+    confirmation: "",
+    statusChanged: `:${reservation.status}`,
+    rescheduled: `:${reservation.updatedAt?.getTime?.() || ""}`,
+    waitlistOffered: `:${reservation.holdExpiresAt?.getTime?.() || ""}`,
+  }[type] ?? "";
+
+  for (const { channel, to } of recipients) {
+    await enqueueNotification({
+      channel,
+      to,
+      user: reservation.user?._id,
+      reservation: reservation._id,
+      type,
+      subject,
+      body,
+      dedupeKey: `${type}:${reservation._id}${keyPart}:${channel}`,
+    });
+  }
+
+  if (["cancelled", "rescheduled"].includes(type) || ["cancelled", "no_show", "completed"].includes(reservation.status)) {
+    await cancelPendingReminders(reservation._id);
+  }
+  if (["created", "rescheduled"].includes(event) || (type === "statusChanged" && reservation.status === "confirmed")) {
+    await scheduleReminders(reservation, recipients);
+  }
+};
+
+/**
+ * Fire-and-forget wrapper used by controllers
+ */
+export const triggerReservationNotification = (reservationOrId, event, details) => {
+  notifyReservationEvent(reservationOrId, event, details).catch((err) =>
+    console.warn("reservation notification failed:", err?.message || err)
+  );
+};
+
+/**
+ * Deliver due messages. Each message is claimed atomically (pending -> sending) before it is
+ * handed to a transport, so two workers never send the same message.
+ * Messages for a channel without a transport stay pending until one is configured.
+ */
+export const processOutbox = async () => {
+  const now = new Date();
+  const channels = CHANNELS.filter((channel) => getTransport(channel));
+
+  // a worker died mid-send: we cannot know whether it went out, so do not retry it
+  await Notification.updateMany(
+    { status: "sending", lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    { status: "failed", lastError: "Interrupted while sending" }
+  );
+
+  let processed = 0;
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const message = await Notification.findOneAndUpdate(
+      { status: "pending", channel: { $in: channels }, sendAt: { $lte: now } },
+      { status: "sending", lockedAt: new Date(), $inc: { attempts: 1 } },
+      { sort: { sendAt: 1 }, new: true }
+    );
+    if (!message) break;
+    processed += 1;
+
+    try {
+      const transport = getTransport(message.channel);
+      if (!transport) throw new Error(`No transport configured for ${message.channel}`);
+      const result = await transport.send({
+        channel: message.channel,
+        to: message.to,
+        subject: message.subject,
+        body: message.body,
+      });
+      message.status = "sent";
+      message.sentAt = new Date();
+      message.providerMessageId = result?.id;
+      message.lastError = undefined;
+    } catch (err) {
+      message.lastError = err?.message || String(err);
+      if (message.attempts >= MAX_ATTEMPTS) message.status = "failed";
+      else {
+        message.status = "pending";
+        message.sendAt = new Date(Date.now() + 2 ** message.attempts * 60 * 1000); // back off
+      }
+    }
+    message.lockedAt = undefined;
+    await message.save();
+  }
+  return processed;
+};
+
+/**
+ * Poll the outbox (call once after the server starts)
+ */
+export const startNotificationWorker = () => {
+  if (!getTransport("email") && isChannelEnabled("email")) {
+    console.warn(
+      "NOTIFY_EMAIL_TRANSPORT is not set: emails stay queued until it is (smtp | file | console, or none to disable)"
+    );
+  }
+  const timer = setInterval(() => {
+    processOutbox().catch((err) => console.warn("notification worker failed:", err?.message || err));
+  }, WORKER_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+};
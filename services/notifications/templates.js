@@ -0,0 +1,91 @@
+// services/notifications/templates.js
+// Plain-text message bodies per notification type
+
+const STATUS_LABELS = {
+  held: "held for you",
+  pending: "received",
+  confirmed: "confirmed",
+  seated: "seated",
+  completed: "completed",
+  cancelled: "cancelled",
+  no_show: "marked as a no-show",
+};
+
+const describe = (r) => {
+  const where = r.restaurant?.location ? ` (${r.restaurant.location})` : "";
+  return `${r.restaurant?.name || "the restaurant"}${where} on ${r.date} at ${r.time} for ${r.partySize}`;
+};
+
+/**
+ * { subject, body } for a reservation notification
+ *
+ * @param {string} type confirmation | statusChanged | cancelled | rescheduled | reminder24h | reminder2h | waitlistOffered
+ * @param {Object} reservation populated with restaurant (name, location)
+ * @param {string} name guest name
+ * @param {{ manageUrl?: string, reason?: string }} extra link for guest self-service (confirmation / reschedule)
+ *   and why the restaurant moved the booking
+ */
+export const renderReservationMessage = (type, reservation, name = "there", extra = {}) => {
+  const what = describe(reservation);
+  const restaurantName = reservation.restaurant?.name || "your restaurant";
+  const manage = extra.manageUrl ? `\nView, change or cancel: ${extra.manageUrl}` : "";
+
+  switch (type) {
+    case "confirmation":
+      return {
+        subject: `Reservation received: ${restaurantName}`,
+        body: `Hi ${name}, we received your reservation at ${what}.${manage}`,
+      };
+    case "statusChanged":
+      return {
+        subject: `Reservation ${STATUS_LABELS[reservation.status] || reservation.status}: ${restaurantName}`,
+        body: `Hi ${name}, your reservation at ${what} is now ${STATUS_LABELS[reservation.status] || reservation.status}.`,
+      };
+    case "cancelled":
+      return {
+        subject: `Reservation cancelled: ${restaurantName}`,
+        body: `Hi ${name}, your reservation at ${what} has been cancelled.`,
+      };
+    case "rescheduled":
+      return {
+        subject: `Reservation updated: ${restaurantName}`,
+        body: `Hi ${name}, your reservation is now at ${what}.${extra.reason ? ` Reason: ${extra.reason}` : ""}${manage}`,
+      };
+    case "reminder24h":
+      return {
+        subject: `Reminder: ${restaurantName} tomorrow`,
+        body: `Hi ${name}, a reminder of your reservation at ${what}.`,
+      };
+    case "reminder2h":
+      return {
+        subject: `Reminder: ${restaurantName} in 2 hours`,
+        body: `Hi ${name}, see you soon! Your reservation at ${what} starts in about 2 hours.`,
+      };
+    case "waitlistOffered":
+      return {
+        subject: `A table opened up at ${restaurantName}`,
+        body: `Hi ${name}, a spot opened at ${what}. Accept it soon, the offer is held for a limited time.`,
+      };
+    default:
+      return { subject: `Reservation update: ${restaurantName}`, body: `Hi ${name}, your reservation at ${what} was updated.` };
+  }
+};
+
+/**
+ * { subject, body } for an account notification
+ *
+ * @param {string} type emailVerification
+ * @param {string} name account holder's name
+ * @param {{ verifyUrl?: string }} extra
+ */
+export const renderAccountMessage = (type, name = "there", extra = {}) => {
+  switch (type) {
+    case "emailVerification":
+      return {
+        subject: "Confirm your email address",
+        body: `Hi ${name}, please confirm your email address: ${extra.verifyUrl}\nBookings a restaurant took for you under this address will then show up in your account.`,
+      };
+    default:
+      return { subject: "Account update", body: `Hi ${name}, your account was updated.` };
+  }
+};
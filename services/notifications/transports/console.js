@@ -0,0 +1,10 @@
+// services/notifications/transports/console.js
+// Development transport: prints messages instead of delivering them
+
+export default {
+  name: "console",
+  async send({ channel, to, subject, body }) {
+    console.log(`[notify:${channel}] to=${to}${subject ? ` subject="${subject}"` : ""}\n${body}`);
+    return { id: `console-${Date.now()}` };
+  },
+};
@@ -0,0 +1,17 @@
+// services/notifications/transports/file.js
+// Development/test transport: appends one JSON line per message to NOTIFY_FILE_PATH
+import fs from "fs";
+import path from "path";
+
+const filePath = () => process.env.NOTIFY_FILE_PATH || path.join(process.cwd(), "logs", "notifications.log");
+
+export default {
+  name: "file",
+  async send(message) {
+    const target = filePath();
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.promises.appendFile(target, JSON.stringify({ id, at: new Date().toISOString(), ...message }) + "\n");
+    return { id };
+  },
+};
@@ -0,0 +1,43 @@
+// services/notifications/transports/index.js
+import consoleTransport from "./console.js";
+import fileTransport from "./file.js";
+import smtpTransport from "./smtp.js";
+import smsTransport from "./sms.js";
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+  sms: smsTransport,
+};
+
+export const CHANNELS = ["email", "sms"];
+
+// configured transport name for a channel; email only falls back to console in development
+const transportName = (channel) =>
+  channel === "email"
+    ? process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.NODE_ENV === "development" ? "console" : undefined)
+    : process.env.NOTIFY_SMS_TRANSPORT;
+
+/**
+ * Transport for a channel, chosen by NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT
+ * (console | file | smtp | sms). Email defaults to console only when NODE_ENV=development;
+ * elsewhere it must be set explicitly. SMS is off unless configured.
+ * Returns null when the channel is disabled or has no transport yet.
+ */
+export const getTransport = (channel) => {
+  const name = transportName(channel);
+  if (!name || name === "none") return null;
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown notification transport "${name}"`);
+  return transport;
+};
+
+/**
+ * Should messages for a channel be queued? Email is, unless switched off with "none", so messages
+ * written before a transport is configured wait in the outbox instead of being lost. SMS only when configured.
+ */
+export const isChannelEnabled = (channel) => {
+  if (channel === "email") return process.env.NOTIFY_EMAIL_TRANSPORT !== "none";
+  return Boolean(getTransport(channel));
+};
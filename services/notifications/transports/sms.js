@@ -0,0 +1,23 @@
+// services/notifications/transports/sms.js
+// SMS through Twilio's REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+
+export default {
+  name: "sms",
+  async send({ to, body }) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    if (!sid || !token || !process.env.TWILIO_FROM) throw new Error("Twilio credentials are not configured");
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: body }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || `SMS send failed (${response.status})`);
+    return { id: data.sid };
+  },
+};
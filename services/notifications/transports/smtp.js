@@ -0,0 +1,31 @@
+// services/notifications/transports/smtp.js
+// Email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+import nodemailer from "nodemailer";
+
+let transporter; // created on first use so the server boots without SMTP settings
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+  const port = Number(process.env.SMTP_PORT) || 587;
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return transporter;
+};
+
+export default {
+  name: "smtp",
+  async send({ to, subject, body }) {
+    const info = await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text: body,
+    });
+    return { id: info.messageId };
+  },
+};
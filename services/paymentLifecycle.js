@@ -0,0 +1,298 @@
+// services/paymentLifecycle.js
+// Payment state changes driven by the payment provider (verified webhooks and status polling).
+// Events and objects arrive in the provider-neutral shapes of services/payments/index.js.
+// Every change is a conditional update from the expected previous status, so redelivered or
+// out-of-order events cannot move a payment backwards or confirm a reservation twice.
+import Payment, { REFUNDABLE_STATUSES } from "../models/Payment.js";
+import Reservation from "../models/Reservation.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import { safeEmit } from "../socketHelper.js";
+import { confirmDepositPaid } from "./bookingRequests.js";
+import { getPaymentProvider } from "./payments/index.js";
+import { AUTO_REFUND_TYPES, refundPayment } from "./refunds.js";
+import { RELEASED_STATUSES } from "../utils/reservationStatus.js";
+
+const transition = (payment, from, update) =>
+  Payment.findOneAndUpdate({ _id: payment._id, status: { $in: from } }, update, { new: true });
+
+/**
+ * Payment for a provider object carrying our metadata (checkout / payment / refund)
+ */
+const findByMetadata = (object) => {
+  const id = object?.metadata?.paymentRecordId;
+  return id ? Payment.findById(id) : null;
+};
+
+const emitPayment = (payment) => {
+  const payload = { paymentId: payment._id, status: payment.status, reservation: payment.reservation };
+  safeEmit("paymentUpdated", payload, `user_${payment.user}`);
+};
+
+// money that arrived for a reservation which is no longer happening goes straight back
+const refundUnwanted = async (payment, reason) => {
+  try {
+    return await refundPayment(payment, { reason });
+  } catch (err) {
+    console.error("refundUnwanted error:", err);
+    return payment;
+  }
+};
+
+// a pre-order payment only counts for the order it was priced for
+const preOrderMismatch = (payment, reservation) => {
+  const preOrder = reservation.preOrder;
+  if (!preOrder?.items?.length) return "Pre-order was removed";
+  if (preOrder.paidAt) return "Pre-order is already paid";
+  if (Math.abs((payment.amount || 0) - (preOrder.total || 0)) >= 0.005) return "Pre-order changed after checkout";
+  return null;
+};
+
+/**
+ * Paid: record it and confirm the reservation the deposit was asked for (or lock the paid pre-order).
+ * A checkout paid after its reservation was cancelled / released, or for a pre-order that has since
+ * changed, is refunded in full instead.
+ */
+export const markPaymentCompleted = async (payment, { paymentIntentId } = {}) => {
+  const updated = await transition(payment, ["pending", "expired", "failed"], {
+    status: "completed",
+    paidAt: new Date(),
+    ...(paymentIntentId ? { paymentIntentId } : {}),
+    $unset: { failureReason: 1 },
+  });
+  if (!updated) return null;
+
+  if (updated.reservation && AUTO_REFUND_TYPES.includes(updated.type)) {
+    const reservation = await Reservation.findById(updated.reservation).select("status preOrder");
+    const unwanted =
+      !reservation || RELEASED_STATUSES.includes(reservation.status)
+        ? "Paid after the reservation was cancelled"
+        : updated.type === "pre_order" && preOrderMismatch(updated, reservation);
+    if (unwanted) {
+      emitPayment(updated);
+      return refundUnwanted(updated, unwanted);
+    }
+  }
+
+  if (updated.reservation && updated.type === "reservation") await confirmDepositPaid(updated.reservation);
+  if (updated.reservation && updated.type === "pre_order") {
+    // guarded again: the order may have been edited since the check above
+    const { modifiedCount } = await Reservation.updateOne(
+      { _id: updated.reservation, "preOrder.total": updated.amount, "preOrder.paidAt": null },
+      { "preOrder.paidAt": updated.paidAt }
+    );
+    if (!modifiedCount) {
+      emitPayment(updated);
+      return refundUnwanted(updated, "Pre-order changed after checkout");
+    }
+  }
+  emitPayment(updated);
+  return updated;
+};
+
+export const markPaymentFailed = async (payment, reason) => {
+  const updated = await transition(payment, ["pending"], { status: "failed", failureReason: reason });
+  if (updated) emitPayment(updated);
+  return updated;
+};
+
+export const markPaymentExpired = async (payment) => {
+  const updated = await transition(payment, ["pending"], { status: "expired" });
+  if (updated) emitPayment(updated);
+  return updated;
+};
+
+/**
+ * Close the open checkouts of a reservation with the provider so they can no longer be paid, and
+ * mark them expired. A checkout the guest paid meanwhile is recorded as paid instead (and refunded by
+ * markPaymentCompleted if the reservation is gone). Provider errors are logged: the local record is
+ * expired anyway and a late payment is still caught by markPaymentCompleted.
+ *
+ * @param {ObjectId} reservationId
+ * @param {{ types?: string[] }} options payment types to close (deposits and pre-orders by default;
+ *   outstanding late-cancel fees stay payable)
+ */
+export const expireOpenCheckouts = async (reservationId, { types = AUTO_REFUND_TYPES } = {}) => {
+  const payments = await Payment.find({ reservation: reservationId, status: "pending", type: { $in: types } });
+
+  for (const payment of payments) {
+    let checkout = null;
+    if (payment.paymentId) {
+      try {
+        checkout = await getPaymentProvider().expireCheckout(payment.paymentId);
+      } catch (err) {
+        console.error("expireOpenCheckouts error:", err);
+      }
+    }
+    if (checkout?.status === "paid") await markPaymentCompleted(payment, { paymentIntentId: checkout.paymentIntentId });
+    else await markPaymentExpired(payment);
+  }
+};
+
+// Fully refunded with the provider but the event carried no refund list (payment.refunded):
+// whatever our records do not cover yet is recorded as one succeeded refund.
+export const markPaymentRefunded = async (payment) => {
+  const rest = Math.round((payment.amount - (payment.amountRefunded || 0)) * 100) / 100;
+  if (rest <= 0 || payment.refunds?.some((r) => r.status === "pending")) return settleRefunds(payment._id);
+
+  const updated = await transition(payment, REFUNDABLE_STATUSES, {
+    $push: { refunds: { amount: rest, reason: "Refunded with the provider", status: "succeeded", processedAt: new Date() } },
+  });
+  return updated ? settleRefunds(updated._id) : null;
+};
+
+// amountRefunded / status recomputed from the refund records in one atomic update
+const SETTLE_REFUNDS = [
+  {
+    $set: {
+      amountRefunded: {
+        $round: [
+          { $sum: { $map: { input: { $filter: { input: { $ifNull: ["$refunds", []] }, cond: { $eq: ["$$this.status", "succeeded"] } } }, in: "$$this.amount" } } },
+          2,
+        ],
+      },
+    },
+  },
+  {
+    $set: {
+      status: {
+        $switch: {
+          branches: [
+            { case: { $in: ["pending", { $ifNull: ["$refunds.status", []] }] }, then: "refund_pending" },
+            { case: { $gte: ["$amountRefunded", "$amount"] }, then: "refunded" },
+            { case: { $gt: ["$amountRefunded", 0] }, then: "partially_refunded" },
+          ],
+          default: "completed",
+        },
+      },
+    },
+  },
+];
+
+/**
+ * Bring amountRefunded and the status of a paid payment in line with its refund records
+ */
+export const settleRefunds = async (paymentId) => {
+  const updated = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: { $in: [...REFUNDABLE_STATUSES, "refunded"] } },
+    SETTLE_REFUNDS,
+    { new: true }
+  );
+  if (updated) emitPayment(updated);
+  return updated;
+};
+
+/**
+ * Record a provider refund (API response or webhook) on its payment and settle the payment.
+ * Refunds we issued are matched by the record id in their metadata; refunds made in the provider's
+ * dashboard are added as new records. A late "pending" never overwrites a final status.
+ */
+export const applyProviderRefund = async (refund) => {
+  const payment =
+    (await Payment.findOne({ "refunds.refundId": refund.id })) ||
+    (await findByMetadata(refund)) ||
+    (refund.paymentIntentId ? await Payment.findOne({ paymentIntentId: refund.paymentIntentId }) : null);
+  if (!payment) return null;
+
+  const status = refund.status || "pending";
+  const recordId = refund.metadata?.refundRecordId;
+  const matchRecord = { $or: [{ refundId: refund.id }, ...(recordId ? [{ _id: recordId }] : [])] };
+
+  const set = { "refunds.$.refundId": refund.id };
+  if (status !== "pending") {
+    set["refunds.$.status"] = status;
+    set["refunds.$.processedAt"] = new Date();
+    if (refund.failureReason) set["refunds.$.failureReason"] = refund.failureReason;
+  }
+  const { matchedCount } = await Payment.updateOne(
+    { _id: payment._id, refunds: { $elemMatch: { ...matchRecord, status: status === "pending" ? { $exists: true } : "pending" } } },
+    { $set: set }
+  );
+
+  if (!matchedCount) {
+    await Payment.updateOne(
+      { _id: payment._id, refunds: { $not: { $elemMatch: matchRecord } } },
+      {
+        $push: {
+          refunds: {
+            refundId: refund.id,
+            amount: refund.amount || 0,
+            reason: refund.reason || "Refunded with the provider",
+            status,
+            failureReason: refund.failureReason,
+            processedAt: status === "pending" ? undefined : new Date(),
+          },
+        },
+      }
+    );
+  }
+
+  return (await settleRefunds(payment._id)) || payment;
+};
+
+/**
+ * Bring a payment in line with its checkout (webhook or success-page polling)
+ */
+export const applyCheckout = async (checkout) => {
+  const payment = (await Payment.findOne({ paymentId: checkout.id })) || (await findByMetadata(checkout));
+  if (!payment) return null;
+
+  if (checkout.status === "paid") {
+    return (await markPaymentCompleted(payment, { paymentIntentId: checkout.paymentIntentId })) || payment;
+  }
+  if (checkout.status === "expired") return (await markPaymentExpired(payment)) || payment;
+  return payment;
+};
+
+/**
+ * Handle a verified provider event once. Returns { duplicate: true } for already-processed events.
+ * If handling throws, the event record is removed so the provider's retry is processed again.
+ *
+ * @param {string} provider provider name (events are deduplicated per provider)
+ * @param {Object} event provider event (see services/payments/index.js)
+ */
+export const handlePaymentEvent = async (provider, event) => {
+  try {
+    await WebhookEvent.create({ provider, eventId: event.id, type: event.type });
+  } catch (err) {
+    if (err?.code === 11000) return { duplicate: true };
+    throw err;
+  }
+
+  try {
+    switch (event.type) {
+      case "checkout.updated":
+        await applyCheckout(event.checkout);
+        break;
+      case "checkout.failed": {
+        const payment = await Payment.findOne({ paymentId: event.checkout.id });
+        if (payment) await markPaymentFailed(payment, event.failureReason || "Payment failed");
+        break;
+      }
+      case "payment.failed": {
+        const payment = (await Payment.findOne({ paymentIntentId: event.paymentIntentId })) || (await findByMetadata(event));
+        if (payment) await markPaymentFailed(payment, event.failureReason || "Payment failed");
+        break;
+      }
+      case "payment.refunded": {
+        if (event.refunds?.length) {
+          for (const refund of event.refunds) await applyProviderRefund(refund);
+        } else if (event.fullyRefunded) {
+          const payment = await Payment.findOne({ paymentIntentId: event.paymentIntentId });
+          if (payment) await markPaymentRefunded(payment);
+        }
+        break;
+      }
+      case "refund.updated":
+        await applyProviderRefund(event.refund);
+        break;
+      default:
+        break; // not subscribed / not relevant
+    }
+    await WebhookEvent.updateOne({ provider, eventId: event.id }, { processedAt: new Date() });
+  } catch (err) {
+    await WebhookEvent.deleteOne({ provider, eventId: event.id });
+    throw err;
+  }
+
+  return { duplicate: false };
+};
@@ -0,0 +1,135 @@
+// services/payments/fake.js
+// Offline provider for development and tests (PAYMENT_PROVIDER=fake). Checkouts and refunds live in
+// memory, so they are gone after a restart.
+//  - The checkout url is a local page (GET /api/payments/fake/checkout/:id) where the guest can pay,
+//    fail or abandon; each choice is delivered as the matching event, as if a webhook had arrived.
+//  - Refunds succeed right away unless FAKE_PAYMENT_REFUND_STATUS is pending | failed.
+//  - Signed events can also be posted to /api/payments/webhook: x-fake-signature is the hex
+//    HMAC-SHA256 of the raw body with FAKE_PAYMENT_WEBHOOK_SECRET (default "fake").
+import crypto from "crypto";
+
+const checkouts = new Map();
+const refunds = new Map(); // by idempotency key
+
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString("hex")}`;
+
+const baseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const webhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || "fake";
+
+/**
+ * Signature for a fake webhook body (for scripts and tests posting to /api/payments/webhook)
+ */
+export const signFakeWebhook = (rawBody) =>
+  crypto.createHmac("sha256", webhookSecret()).update(rawBody).digest("hex");
+
+const toCheckout = (c) => ({
+  id: c.id,
+  url: c.url,
+  status: c.status,
+  paymentIntentId: c.paymentIntentId,
+  metadata: { ...c.metadata },
+});
+
+export default {
+  name: "fake",
+
+  async createCheckout({ amount, currency, productName, metadata, successUrl, cancelUrl }) {
+    const id = newId("cs");
+    const checkout = {
+      id,
+      url: `${baseUrl()}/api/payments/fake/checkout/${id}`,
+      status: "open",
+      amount,
+      currency,
+      productName,
+      metadata: { ...metadata },
+      successUrl,
+      cancelUrl,
+    };
+    checkouts.set(id, checkout);
+    return toCheckout(checkout);
+  },
+
+  async retrieveCheckout(id) {
+    const checkout = checkouts.get(id);
+    return checkout ? toCheckout(checkout) : null;
+  },
+
+  async expireCheckout(id) {
+    const checkout = checkouts.get(id);
+    if (!checkout) return null;
+    if (checkout.status === "open") checkout.status = "expired";
+    return toCheckout(checkout);
+  },
+
+  async refund({ paymentIntentId, amount, metadata, idempotencyKey }) {
+    if (idempotencyKey && refunds.has(idempotencyKey)) return refunds.get(idempotencyKey);
+    const status = process.env.FAKE_PAYMENT_REFUND_STATUS || "succeeded";
+    const refund = {
+      id: newId("re"),
+      amount,
+      status,
+      paymentIntentId,
+      metadata: { ...metadata },
+      failureReason: status === "failed" ? "simulated_failure" : undefined,
+    };
+    refunds.set(idempotencyKey || refund.id, refund);
+    return refund;
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const given = Buffer.from(String(headers["x-fake-signature"] || ""), "hex");
+    const expected = Buffer.from(signFakeWebhook(rawBody), "hex");
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new Error("Invalid signature");
+    }
+    const event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : rawBody);
+    if (!event?.id || !event?.type) throw new Error("Malformed event");
+    return event; // already in the provider event shape
+  },
+
+  /**
+   * Checkout details for the local checkout page
+   */
+  checkoutDetails(id) {
+    const checkout = checkouts.get(id);
+    return checkout ? { ...checkout } : null;
+  },
+
+  /**
+   * Finish an open checkout the way a guest would: "pay", "fail" or "cancel".
+   * Returns the event a webhook would deliver (null when nothing changes) and where the browser goes next.
+   */
+  simulateCheckout(id, outcome) {
+    const checkout = checkouts.get(id);
+    if (!checkout) return null;
+    if (checkout.status !== "open") return { event: null, redirect: checkout.cancelUrl };
+
+    if (outcome === "pay") {
+      checkout.status = "paid";
+      checkout.paymentIntentId = newId("pi");
+      return {
+        event: { id: newId("evt"), type: "checkout.updated", checkout: toCheckout(checkout) },
+        redirect: `${checkout.successUrl}?session_id=${id}`,
+      };
+    }
+    if (outcome === "fail") {
+      return {
+        event: {
+          id: newId("evt"),
+          type: "checkout.failed",
+          checkout: toCheckout(checkout),
+          failureReason: "Card declined (simulated)",
+        },
+        redirect: checkout.cancelUrl,
+      };
+    }
+    // abandoned: expire it like Stripe does once the session times out
+    checkout.status = "expired";
+    return {
+      event: { id: newId("evt"), type: "checkout.updated", checkout: toCheckout(checkout) },
+      redirect: checkout.cancelUrl,
+    };
+  },
+};
@@ -0,0 +1,33 @@
+// services/payments/index.js
+import stripeProvider from "./stripe.js";
+import fakeProvider from "./fake.js";
+
+const providers = {
+  stripe: stripeProvider,
+  fake: fakeProvider,
+};
+
+/**
+ * Payment provider chosen by PAYMENT_PROVIDER (stripe | fake), stripe by default.
+ *
+ * Every provider implements
+ *   createCheckout({ amount, currency, productName, metadata, successUrl, cancelUrl }) -> Checkout
+ *   retrieveCheckout(id)                                       -> Checkout | null
+ *   expireCheckout(id)                                         -> Checkout | null (closes an open checkout;
+ *                                                                 one already paid or expired comes back as it is)
+ *   refund({ paymentIntentId, amount, currency, metadata, idempotencyKey }) -> Refund
+ *   verifyWebhook(rawBody, headers)                            -> Event (throws on a bad signature)
+ * with amounts in major currency units (the provider converts) and
+ *   Checkout { id, url, status: "open" | "paid" | "expired", paymentIntentId?, metadata }
+ *   Refund   { id, amount, status: "pending" | "succeeded" | "failed" | "canceled",
+ *              paymentIntentId, metadata, reason?, failureReason? }
+ *   Event    { id, type, checkout?, refund?, refunds?, paymentIntentId?, metadata?, failureReason?, fullyRefunded? }
+ * Event types handled by services/paymentLifecycle.js: checkout.updated, checkout.failed,
+ * payment.failed, payment.refunded, refund.updated (anything else is acknowledged and ignored).
+ */
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || "stripe";
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`);
+  return provider;
+};
@@ -0,0 +1,163 @@
+// services/payments/stripe.js
+// Stripe Checkout (STRIPE_SECRET, STRIPE_WEBHOOK_SECRET). Stripe objects are mapped to the
+// provider shapes described in ./index.js; Stripe amounts are in the currency's minor unit.
+import Stripe from "stripe";
+
+let client; // created on first use so the server boots without Stripe credentials
+
+const getClient = () => {
+  if (client) return client;
+  if (!process.env.STRIPE_SECRET) throw new Error("STRIPE_SECRET is not configured");
+  client = new Stripe(process.env.STRIPE_SECRET);
+  return client;
+};
+
+// currencies Stripe takes in whole units, and those with three decimals (sent as a multiple of 10)
+// https://docs.stripe.com/currencies#special-cases
+const ZERO_DECIMAL = new Set(["bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"]);
+const THREE_DECIMAL = new Set(["bhd", "jod", "kwd", "omr", "tnd"]);
+
+const minorUnitFactor = (currency) => {
+  const code = String(currency || "").toLowerCase();
+  if (ZERO_DECIMAL.has(code)) return 1;
+  if (THREE_DECIMAL.has(code)) return 1000;
+  return 100;
+};
+
+const toMinorUnits = (amount, currency) => {
+  const factor = minorUnitFactor(currency);
+  return factor === 1000 ? Math.round(amount * 100) * 10 : Math.round(amount * factor);
+};
+const fromMinorUnits = (units, currency) => (Number(units) || 0) / minorUnitFactor(currency);
+
+const idOf = (value) => (typeof value === "string" ? value : value?.id);
+
+const toCheckout = (session) => ({
+  id: session.id,
+  url: session.url,
+  status:
+    session.payment_status === "paid" || session.payment_status === "no_payment_required"
+      ? "paid"
+      : session.status === "expired"
+        ? "expired"
+        : "open",
+  paymentIntentId: idOf(session.payment_intent),
+  metadata: session.metadata || {},
+});
+
+const REFUND_STATUS = {
+  pending: "pending",
+  requires_action: "pending",
+  succeeded: "succeeded",
+  failed: "failed",
+  canceled: "canceled",
+};
+
+const toRefund = (refund, paymentIntentId) => ({
+  id: refund.id,
+  amount: fromMinorUnits(refund.amount, refund.currency),
+  status: REFUND_STATUS[refund.status] || "pending",
+  paymentIntentId: idOf(refund.payment_intent) || paymentIntentId,
+  metadata: refund.metadata || {},
+  reason: refund.reason || undefined,
+  failureReason: refund.failure_reason || undefined,
+});
+
+/**
+ * Stripe event -> provider event
+ */
+const toEvent = (event) => {
+  const object = event.data?.object || {};
+  const id = event.id;
+  switch (event.type) {
+    case "checkout.session.completed":
+    case "checkout.session.async_payment_succeeded":
+    case "checkout.session.expired":
+      return { id, type: "checkout.updated", checkout: toCheckout(object) };
+    case "checkout.session.async_payment_failed":
+      return { id, type: "checkout.failed", checkout: toCheckout(object), failureReason: "Payment failed" };
+    case "payment_intent.payment_failed":
+      return {
+        id,
+        type: "payment.failed",
+        paymentIntentId: object.id,
+        metadata: object.metadata || {},
+        failureReason: object.last_payment_error?.message || "Payment failed",
+      };
+    case "charge.refunded": {
+      const paymentIntentId = idOf(object.payment_intent);
+      return {
+        id,
+        type: "payment.refunded",
+        paymentIntentId,
+        refunds: (object.refunds?.data || []).map((r) => toRefund(r, paymentIntentId)),
+        fullyRefunded: Boolean(object.refunded),
+      };
+    }
+    case "refund.created":
+    case "refund.updated":
+    case "refund.failed":
+    case "charge.refund.updated":
+      return { id, type: "refund.updated", refund: toRefund(object) };
+    default:
+      return { id, type: event.type }; // not subscribed / not relevant
+  }
+};
+
+export default {
+  name: "stripe",
+
+  async createCheckout({ amount, currency, productName, metadata, successUrl, cancelUrl }) {
+    const session = await getClient().checkout.sessions.create({
+      payment_method_types: ["card"],
+      line_items: [
+        {
+          price_data: {
+            currency,
+            product_data: { name: productName },
+            unit_amount: toMinorUnits(amount, currency),
+          },
+          quantity: 1,
+        },
+      ],
+      mode: "payment",
+      metadata,
+      payment_intent_data: { metadata },
+      success_url: `${successUrl}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl,
+    });
+    return toCheckout(session);
+  },
+
+  async retrieveCheckout(id) {
+    return toCheckout(await getClient().checkout.sessions.retrieve(id));
+  },
+
+  async expireCheckout(id) {
+    try {
+      return toCheckout(await getClient().checkout.sessions.expire(id));
+    } catch (err) {
+      // only open sessions can be expired; otherwise report the state it is in
+      if (err?.type !== "StripeInvalidRequestError") throw err;
+      return toCheckout(await getClient().checkout.sessions.retrieve(id));
+    }
+  },
+
+  async refund({ paymentIntentId, amount, currency, metadata, idempotencyKey }) {
+    const refund = await getClient().refunds.create(
+      { payment_intent: paymentIntentId, amount: toMinorUnits(amount, currency), metadata },
+      idempotencyKey ? { idempotencyKey } : undefined
+    );
+    return toRefund(refund, paymentIntentId);
+  },
+
+  verifyWebhook(rawBody, headers) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) throw new Error("STRIPE_WEBHOOK_SECRET is not configured");
+    const event = getClient().webhooks.constructEvent(
+      rawBody,
+      headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+    return toEvent(event);
+  },
+};
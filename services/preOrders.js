@@ -0,0 +1,144 @@
+// services/preOrders.js
+// Menu items ordered together with a reservation. Prices come from the restaurant's current
+// menuItems and are copied into the order, so later menu edits do not change it. The order can be
+// paid through checkout (POST /api/payments { reservationId, type: "pre_order" }) and is locked once paid.
+import Restaurant from "../models/Restaurant.js";
+import { safeEmit } from "../socketHelper.js";
+import { expireOpenCheckouts } from "./paymentLifecycle.js";
+import { RESCHEDULABLE_STATUSES } from "./reservations.js";
+import { evaluateModification } from "../utils/cancellationPolicy.js";
+import { DEFAULT_CURRENCY } from "../utils/deposits.js";
+import { localToInstant } from "../utils/time.js";
+import { httpError } from "../utils/httpError.js";
+
+export const PREORDER_MAX_LINES = 50;
+export const PREORDER_MAX_QUANTITY = 50;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const restaurantIdOf = (reservation) => reservation.restaurant?._id || reservation.restaurant;
+
+/**
+ * Price an order against the restaurant's menu. Lines for the same item and notes are merged.
+ *
+ * @param {Object} restaurant with menuItems, currency
+ * @param {{ items: Array<{ menuItem, quantity, notes? }>, notes? }} input
+ * @returns {{ value } | { error }} value is the preOrder snapshot
+ */
+export const pricePreOrder = (restaurant, input = {}) => {
+  const { items, notes } = input;
+  if (!Array.isArray(items) || !items.length) return { error: "items must be a non-empty array" };
+  if (items.length > PREORDER_MAX_LINES) return { error: `At most ${PREORDER_MAX_LINES} lines per pre-order` };
+
+  const menu = new Map((restaurant.menuItems || []).map((m) => [m._id.toString(), m]));
+  const lines = new Map();
+  for (const [i, raw] of items.entries()) {
+    const item = menu.get(String(raw?.menuItem || ""));
+    if (!item) return { error: `items[${i}]: menu item not found` };
+    const price = Number(item.price);
+    if (!Number.isFinite(price) || price < 0) return { error: `items[${i}]: ${item.name} has no price` };
+    const quantity = Number(raw.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > PREORDER_MAX_QUANTITY) {
+      return { error: `items[${i}]: invalid quantity` };
+    }
+    const lineNotes = raw.notes ? String(raw.notes).trim().slice(0, 500) : undefined;
+
+    const key = `${item._id}|${lineNotes || ""}`;
+    const line = lines.get(key) || { menuItem: item._id, name: item.name, unitPrice: price, quantity: 0, notes: lineNotes };
+    line.quantity += quantity;
+    if (line.quantity > PREORDER_MAX_QUANTITY) return { error: `items[${i}]: invalid quantity` };
+    line.lineTotal = round2(line.unitPrice * line.quantity);
+    lines.set(key, line);
+  }
+
+  const value = {
+    items: [...lines.values()],
+    notes: notes ? String(notes).trim().slice(0, 1000) : undefined,
+    currency: (restaurant.currency || DEFAULT_CURRENCY).toLowerCase(),
+    updatedAt: new Date(),
+  };
+  value.total = round2(value.items.reduce((sum, l) => sum + l.lineTotal, 0));
+  return { value };
+};
+
+/**
+ * Can the pre-order still be changed? Throws a 400/409 otherwise.
+ * Guests are held to the restaurant's noModifyWithinHours like for reschedules.
+ */
+const assertEditable = async (reservation, restaurant, { asGuest }) => {
+  if (!RESCHEDULABLE_STATUSES.includes(reservation.status)) {
+    throw httpError(400, "Reservation can no longer be changed");
+  }
+  if (reservation.preOrder?.paidAt) throw httpError(409, "Pre-order is already paid");
+  if (asGuest) {
+    const startAt = reservation.startAt || localToInstant(restaurant, reservation.date, reservation.time);
+    const verdict = evaluateModification(restaurant.cancellationPolicy, startAt);
+    if (!verdict.allowed) throw httpError(400, verdict.reason);
+  }
+};
+
+// an open checkout was priced for the old order: close it so the next one uses the new total
+const expireOldCheckouts = (reservation) => expireOpenCheckouts(reservation._id, { types: ["pre_order"] });
+
+const emitPreOrder = (reservation) => {
+  const payload = { reservationId: reservation._id, preOrder: reservation.preOrder || null };
+  safeEmit("preOrderUpdated", payload, `restaurant_${restaurantIdOf(reservation)}`);
+  if (reservation.user) safeEmit("preOrderUpdated", payload, `user_${reservation.user._id || reservation.user}`);
+};
+
+/**
+ * Create or replace the pre-order of a reservation.
+ *
+ * @param {Object} reservation Reservation document
+ * @param {{ items, notes? }} input raw request body
+ * @param {{ asGuest?: boolean }} options
+ * @returns {Promise<Object>} the saved reservation
+ */
+export const setPreOrder = async (reservation, input, { asGuest = false } = {}) => {
+  const restaurant = await Restaurant.findById(restaurantIdOf(reservation)).select(
+    "menuItems currency timezone cancellationPolicy"
+  );
+  if (!restaurant) throw httpError(404, "Restaurant not found");
+  await assertEditable(reservation, restaurant, { asGuest });
+
+  const { value, error } = pricePreOrder(restaurant, input);
+  if (error) throw httpError(400, error);
+
+  reservation.preOrder = value;
+  await reservation.save();
+  await expireOldCheckouts(reservation);
+  emitPreOrder(reservation);
+  return reservation;
+};
+
+/**
+ * Remove the pre-order of a reservation (not once paid).
+ */
+export const clearPreOrder = async (reservation, { asGuest = false } = {}) => {
+  if (!reservation.preOrder) return reservation;
+  const restaurant = await Restaurant.findById(restaurantIdOf(reservation)).select("timezone cancellationPolicy");
+  if (!restaurant) throw httpError(404, "Restaurant not found");
+  await assertEditable(reservation, restaurant, { asGuest });
+
+  reservation.preOrder = undefined;
+  await reservation.save();
+  await expireOldCheckouts(reservation);
+  emitPreOrder(reservation);
+  return reservation;
+};
+
+/**
+ * Items to prepare across reservations (service view): [{ menuItem, name, quantity }]
+ */
+export const summarizePreOrders = (reservations) => {
+  const totals = new Map();
+  for (const r of reservations) {
+    for (const line of r.preOrder?.items || []) {
+      const key = String(line.menuItem || line.name);
+      const entry = totals.get(key) || { menuItem: line.menuItem, name: line.name, quantity: 0 };
+      entry.quantity += line.quantity;
+      totals.set(key, entry);
+    }
+  }
+  return [...totals.values()].sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+};
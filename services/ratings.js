@@ -0,0 +1,80 @@
+// services/ratings.js
+// Restaurant.rating (average, count, 1-5 star distribution) recomputed from the restaurant's reviews
+// whenever one is added, edited or deleted. Recomputing instead of incrementing keeps the numbers
+// right even if an earlier update was missed; scripts/recomputeRatings.js rebuilds all of them.
+import mongoose from "mongoose";
+import Restaurant from "../models/Restaurant.js";
+import Review from "../models/Review.js";
+
+/**
+ * Aggregate of the given reviews' star counts: { average, count, distribution }
+ */
+export const summarizeRatings = (countsByStar) => {
+  const distribution = [0, 0, 0, 0, 0];
+  for (const { _id: stars, count } of countsByStar) {
+    const i = Math.round(Number(stars)) - 1;
+    if (i >= 0 && i < 5) distribution[i] += count;
+  }
+  const count = distribution.reduce((a, b) => a + b, 0);
+  const sum = distribution.reduce((acc, n, i) => acc + n * (i + 1), 0);
+  return { average: count ? Math.round((sum / count) * 100) / 100 : 0, count, distribution };
+};
+
+/**
+ * Recompute and store the rating of one restaurant. Returns the new rating.
+ */
+export const recomputeRestaurantRating = async (restaurantId) => {
+  const id = new mongoose.Types.ObjectId(String(restaurantId));
+  const counts = await Review.aggregate([
+    { $match: { restaurant: id } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+  const rating = summarizeRatings(counts);
+  await Restaurant.updateOne({ _id: id }, { rating });
+  return rating;
+};
+
+/**
+ * Used by the review controllers after a change: the review itself is already saved,
+ * so a failure here is logged rather than failing the request (the recompute script repairs it).
+ */
+export const refreshRestaurantRating = async (restaurantId) => {
+  if (!restaurantId || !mongoose.Types.ObjectId.isValid(String(restaurantId))) return null;
+  try {
+    return await recomputeRestaurantRating(restaurantId);
+  } catch (err) {
+    console.error("refreshRestaurantRating error:", err);
+    return null;
+  }
+};
+
+/**
+ * Rebuild every restaurant's rating (restaurants without reviews are reset to zero).
+ * Returns { restaurants, rated }
+ */
+export const recomputeAllRatings = async () => {
+  const rows = await Review.aggregate([
+    { $group: { _id: { restaurant: "$restaurant", rating: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const byRestaurant = new Map();
+  for (const { _id, count } of rows) {
+    const key = String(_id.restaurant);
+    if (!byRestaurant.has(key)) byRestaurant.set(key, []);
+    byRestaurant.get(key).push({ _id: _id.rating, count });
+  }
+
+  let restaurants = 0;
+  let ops = [];
+  for await (const restaurant of Restaurant.find().select("_id").lean().cursor()) {
+    const rating = summarizeRatings(byRestaurant.get(String(restaurant._id)) || []);
+    ops.push({ updateOne: { filter: { _id: restaurant._id }, update: { rating } } });
+    restaurants += 1;
+    if (ops.length >= 500) {
+      await Restaurant.bulkWrite(ops);
+      ops = [];
+    }
+  }
+  if (ops.length) await Restaurant.bulkWrite(ops);
+
+  return { restaurants, rated: byRestaurant.size };
+};
@@ -0,0 +1,114 @@
+// services/refunds.js
+// Refunds issued through the payment provider, by owners/admins (POST /api/payments/:id/refund) and
+// automatically when a paid reservation is cancelled. The refund is recorded on the Payment before the
+// provider is called (the record id is the idempotency key); its response and refund webhooks settle it.
+import Payment, { REFUNDABLE_STATUSES } from "../models/Payment.js";
+import { getPaymentProvider } from "./payments/index.js";
+import { applyProviderRefund, settleRefunds } from "./paymentLifecycle.js";
+import { httpError } from "../utils/httpError.js";
+
+// payment types refunded when their reservation is cancelled (fees are not)
+export const AUTO_REFUND_TYPES = ["reservation", "pre_order"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * What can still be refunded: the paid amount less refunds issued (pending or succeeded)
+ * and late-cancel fees withheld from it.
+ */
+export const refundableAmount = async (payment) => {
+  const issued = (payment.refunds || [])
+    .filter((r) => ["pending", "succeeded"].includes(r.status))
+    .reduce((sum, r) => sum + (r.amount || 0), 0);
+  const withheld = await Payment.find({ source: payment._id, type: "late_cancel_fee", status: "completed" })
+    .select("amount")
+    .lean();
+  const kept = withheld.reduce((sum, f) => sum + (f.amount || 0), 0);
+  return Math.max(0, round2((payment.amount || 0) - issued - kept));
+};
+
+/**
+ * Refund all or part of a paid payment.
+ *
+ * @param {Object} payment Payment document
+ * @param {{ amount?: number, reason: string, by?: ObjectId }} options amount defaults to everything refundable
+ * @returns {Promise<Object>} the updated payment
+ */
+export const refundPayment = async (payment, { amount, reason, by } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw httpError(400, `Payment is ${payment.status} and cannot be refunded`);
+  }
+  if (!payment.paymentIntentId) {
+    throw httpError(400, "Withheld fees cannot be refunded separately; refund the deposit instead");
+  }
+
+  const refundable = await refundableAmount(payment);
+  const value = amount === undefined ? refundable : round2(Number(amount));
+  if (!(value > 0)) throw httpError(400, refundable > 0 ? "Invalid refund amount" : "Nothing left to refund");
+  if (value > refundable) throw httpError(400, `At most ${refundable} can be refunded`);
+
+  // record first; the updatedAt guard stops two refunds passing the check above at once
+  const record = payment.refunds.create({ amount: value, reason, requestedBy: by });
+  const reserved = await Payment.findOneAndUpdate(
+    { _id: payment._id, updatedAt: payment.updatedAt },
+    { $push: { refunds: record }, status: "refund_pending" },
+    { new: true }
+  );
+  if (!reserved) throw httpError(409, "Payment was changed meanwhile, please retry");
+
+  let refund;
+  try {
+    refund = await getPaymentProvider().refund({
+      paymentIntentId: payment.paymentIntentId,
+      amount: value,
+      currency: payment.currency,
+      metadata: { paymentRecordId: String(payment._id), refundRecordId: String(record._id) },
+      idempotencyKey: `refund_${record._id}`,
+    });
+  } catch (err) {
+    await Payment.updateOne(
+      { _id: payment._id, "refunds._id": record._id },
+      {
+        $set: {
+          "refunds.$.status": "failed",
+          "refunds.$.failureReason": err.message,
+          "refunds.$.processedAt": new Date(),
+        },
+      }
+    );
+    await settleRefunds(payment._id);
+    throw httpError(502, `Refund failed: ${err.message}`);
+  }
+
+  return (await applyProviderRefund(refund)) || reserved;
+};
+
+/**
+ * Refund the paid deposit and pre-order of a cancelled reservation. Withheld late-cancel fees stay with the
+ * restaurant and percent (from the cancellation policy) applies to what is left.
+ * Failures are logged, not thrown: the cancellation itself has already happened.
+ *
+ * @returns {Promise<Array>} refunded payments
+ */
+export const refundReservationPayments = async (reservation, { percent = 100, reason, by } = {}) => {
+  if (!(percent > 0)) return [];
+
+  const payments = await Payment.find({
+    reservation: reservation._id,
+    type: { $in: AUTO_REFUND_TYPES },
+    status: { $in: REFUNDABLE_STATUSES },
+  });
+
+  const refunded = [];
+  for (const payment of payments) {
+    try {
+      const amount = round2(((await refundableAmount(payment)) * Math.min(percent, 100)) / 100);
+      if (amount > 0) {
+        refunded.push(await refundPayment(payment, { amount, reason: reason || "Reservation cancelled", by }));
+      }
+    } catch (err) {
+      console.error("refundReservationPayments error:", err);
+    }
+  }
+  return refunded;
+};
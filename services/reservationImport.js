@@ -0,0 +1,203 @@
+// services/reservationImport.js
+// Import reservations from another booking tool (CSV rows or JSON objects).
+// Rows are validated, guests are linked to accounts by email (otherwise stored as guest contacts)
+// and active bookings are checked against capacity. A dry run reports what would happen
+// without writing anything; earlier rows of the same file count against capacity either way.
+import mongoose from "mongoose";
+import Reservation from "../models/Reservation.js";
+import User from "../models/User.js";
+import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability, reservationWindow } from "./availability.js";
+import { withRestaurantLock } from "./bookingLock.js";
+import { normalizeTime } from "../utils/hours.js";
+import { normalizeDate } from "../utils/time.js";
+import { initialStatusEntry, RELEASED_STATUSES } from "../utils/reservationStatus.js";
+import { httpError } from "../utils/httpError.js";
+
+export const IMPORT_LIMIT = 2000; // rows per request
+const IMPORTABLE_STATUSES = ["pending", "confirmed", "seated", "completed", "cancelled", "no_show"];
+
+// accepted header spellings -> field
+const ALIASES = {
+  date: "date",
+  time: "time",
+  partysize: "partySize",
+  party_size: "partySize",
+  party: "partySize",
+  covers: "partySize",
+  guests: "partySize",
+  status: "status",
+  name: "name",
+  guest: "name",
+  guestname: "name",
+  email: "email",
+  phone: "phone",
+  area: "area",
+  externalref: "externalRef",
+  external_id: "externalRef",
+  reference: "externalRef",
+  id: "externalRef",
+};
+
+/**
+ * Map a raw row (any header spelling) to import fields
+ */
+const mapRow = (raw = {}) => {
+  const row = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = ALIASES[String(key).trim().toLowerCase()];
+    if (field && row[field] === undefined) row[field] = typeof value === "string" ? value.trim() : value;
+  }
+  return row;
+};
+
+/**
+ * Validate one mapped row. Returns { value } or { errors }
+ */
+const validateRow = (row) => {
+  const errors = [];
+  const date = normalizeDate(row.date);
+  const time = normalizeTime(row.time);
+  const partySize = Number(row.partySize);
+  const status = row.status ? String(row.status).toLowerCase().replace(/[\s-]/g, "_") : "confirmed";
+  const email = row.email ? String(row.email).toLowerCase() : undefined;
+
+  if (!date) errors.push("Invalid date (YYYY-MM-DD)");
+  if (!time) errors.push("Invalid time (HH:MM)");
+  if (!Number.isInteger(partySize) || partySize < 1) errors.push("Invalid party size");
+  if (!IMPORTABLE_STATUSES.includes(status)) errors.push(`Invalid status: ${row.status}`);
+  if (!row.name && !email) errors.push("Guest name or email required");
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) errors.push("Invalid email");
+
+  if (errors.length) return { errors };
+  return {
+    value: {
+      date,
+      time,
+      partySize,
+      status,
+      email,
+      name: row.name || undefined,
+      phone: row.phone ? String(row.phone) : undefined,
+      area: row.area || undefined,
+      externalRef: row.externalRef ? String(row.externalRef) : undefined,
+    },
+  };
+};
+
+/**
+ * Import rows into a restaurant.
+ *
+ * @param {Object} restaurant Restaurant document
+ * @param {Array<Object>} rawRows objects keyed by column name
+ * @param {{ dryRun?: boolean, by: ObjectId, lines?: number[] }} options dryRun defaults to true; lines are
+ *   the file lines of the rows (from parseCsv), otherwise rows are numbered as if under a header line
+ * @returns {Promise<{ dryRun, total, created, skipped, failed, rows: Array<{ line, ok, action?, errors?, reservationId? }> }>}
+ */
+export const importReservations = async (restaurant, rawRows, { dryRun = true, by, lines } = {}) => {
+  if (!Array.isArray(rawRows) || !rawRows.length) throw httpError(400, "No rows to import");
+  if (rawRows.length > IMPORT_LIMIT) throw httpError(400, `At most ${IMPORT_LIMIT} rows per import`);
+
+  const rows = rawRows.map(mapRow);
+
+  // existing ids / external refs so a file can be re-imported safely
+  const refs = [...new Set(rows.map((r) => r.externalRef).filter(Boolean).map(String))];
+  const existing = refs.length
+    ? await Reservation.find({
+        restaurant: restaurant._id,
+        $or: [{ externalRef: { $in: refs } }, { _id: { $in: refs.filter((r) => mongoose.Types.ObjectId.isValid(r)) } }],
+      }).select("_id externalRef").lean()
+    : [];
+  const seenRefs = new Set(existing.flatMap((r) => [r.externalRef, r._id.toString()]).filter(Boolean));
+
+  const emails = [...new Set(rows.map((r) => r.email && String(r.email).toLowerCase()).filter(Boolean))];
+  // only verified accounts, like staff bookings (services/emailVerification.js)
+  const users = emails.length
+    ? await User.find({ email: { $in: emails }, emailVerifiedAt: { $ne: null } }).select("_id email").lean()
+    : [];
+  const userByEmail = new Map(users.map((u) => [u.email.toLowerCase(), u._id]));
+
+  const pending = []; // dry run: rows accepted so far, counted as booked
+  const report = { dryRun, total: rows.length, created: 0, skipped: 0, failed: 0, rows: [] };
+
+  for (let i = 0; i < rows.length; i++) {
+    const line = lines?.[i] ?? i + 2; // header is line 1
+    const { value, errors } = validateRow(rows[i]);
+    if (errors) {
+      report.failed++;
+      report.rows.push({ line, ok: false, errors });
+      continue;
+    }
+    if (value.externalRef && seenRefs.has(value.externalRef)) {
+      report.skipped++;
+      report.rows.push({ line, ok: false, action: "skipped", errors: ["Already imported"] });
+      continue;
+    }
+
+    const { startAt, endAt } = reservationWindow(restaurant, value.date, value.time, value.partySize);
+    const userId = value.email ? userByEmail.get(value.email) : undefined;
+    const active = !RELEASED_STATUSES.includes(value.status);
+    const doc = {
+      user: userId,
+      guest: { name: value.name || value.email, phone: value.phone, email: value.email },
+      source: "import",
+      createdBy: by,
+      externalRef: value.externalRef,
+      restaurant: restaurant._id,
+      date: value.date,
+      time: value.time,
+      startAt,
+      endAt,
+      partySize: value.partySize,
+      area: value.area,
+      status: value.status,
+      statusHistory: [initialStatusEntry(value.status, by, "imported")],
+    };
+
+    const place = async () => {
+      if (active) {
+        const slot = await checkSlotAvailability(restaurant, {
+          date: value.date,
+          time: value.time,
+          partySize: value.partySize,
+          area: value.area,
+          pending,
+        });
+        if (!slot.canSeat) return null;
+        doc.tables = slot.tables;
+      }
+      if (dryRun) {
+        if (active) pending.push({ startAt, endAt, tables: doc.tables });
+        return { _id: undefined };
+      }
+      return Reservation.create(doc);
+    };
+
+    try {
+      const saved = dryRun || !active ? await place() : await withRestaurantLock(restaurant._id, place);
+      if (!saved) {
+        report.failed++;
+        report.rows.push({ line, ok: false, errors: ["No capacity at this time"] });
+        continue;
+      }
+      if (value.externalRef) seenRefs.add(value.externalRef);
+      report.created++;
+      report.rows.push({
+        line,
+        ok: true,
+        action: dryRun ? "would_create" : "created",
+        guest: userId ? "linked to account" : "guest",
+        reservationId: saved._id,
+      });
+    } catch (err) {
+      if (!err.status) console.error("importReservations row error:", err);
+      report.failed++;
+      report.rows.push({ line, ok: false, errors: [err.status ? err.message : "Server error"] });
+    }
+  }
+
+  if (!dryRun && report.created) {
+    safeEmit("reservationsImported", { restaurant: restaurant._id, created: report.created }, `restaurant_${restaurant._id}`);
+  }
+  return report;
+};
@@ -0,0 +1,175 @@
+// services/reservationQueries.js
+// Filters and groupings for owner/admin reservation lists (service-day view, exports, bulk actions)
+import mongoose from "mongoose";
+import Reservation from "../models/Reservation.js";
+import User from "../models/User.js";
+import { activeTables, tableCapacity, usesTableInventory } from "./availability.js";
+import { summarizePreOrders } from "./preOrders.js";
+import { RELEASED_STATUSES } from "../utils/reservationStatus.js";
+import { totalSeats } from "../utils/tableAssignment.js";
+import { normalizeDate } from "../utils/time.js";
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a Reservation filter from list query params.
+ *  - restaurantIds: restaurants the caller may see (null = all, for admins)
+ *  - query.restaurant: narrow to one restaurant (must be in restaurantIds)
+ *  - query.from / query.to: local dates (YYYY-MM-DD, inclusive)
+ *  - query.status: comma list
+ *  - query.q: guest name / email / phone search (accounts and staff-entered guests)
+ *  - query.source: online | phone | walk_in
+ *
+ * @returns {Promise<{ filter?: Object, error?: string }>}
+ */
+export const buildReservationFilter = async (restaurantIds, query = {}) => {
+  const filter = {};
+
+  if (query.restaurant) {
+    if (!mongoose.Types.ObjectId.isValid(query.restaurant)) return { error: "Invalid restaurant id" };
+    if (restaurantIds && !restaurantIds.some((id) => id.toString() === String(query.restaurant))) {
+      return { error: "Not authorized for this restaurant", status: 403 };
+    }
+    filter.restaurant = query.restaurant;
+  } else if (restaurantIds) {
+    filter.restaurant = { $in: restaurantIds };
+  }
+
+  if (query.from || query.to) {
+    const from = query.from ? normalizeDate(query.from) : null;
+    const to = query.to ? normalizeDate(query.to) : null;
+    if ((query.from && !from) || (query.to && !to)) return { error: "Invalid date range (YYYY-MM-DD)" };
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(",").map((s) => s.trim()).filter(Boolean);
+    if (statuses.length) filter.status = { $in: statuses };
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const rx = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    const users = await User.find({ $or: [{ name: rx }, { email: rx }] }).select("_id").limit(500);
+    filter.$or = [
+      { user: { $in: users.map((u) => u._id) } },
+      { "guest.name": rx },
+      { "guest.email": rx },
+      { "guest.phone": rx },
+    ];
+  }
+
+  if (query.source) {
+    const sources = String(query.source).split(",").map((s) => s.trim()).filter(Boolean);
+    if (sources.length) filter.source = { $in: sources };
+  }
+
+  return { filter };
+};
+
+/**
+ * Group reservations by restaurant + local slot with covers (sum of partySize) vs capacity.
+ * Cancelled / no-show bookings are listed but not counted.
+ *
+ * @param {Array} reservations populated with restaurant (tables, tablesPerSlot)
+ * @returns {Array<{ restaurant, date, time, covers, bookings, capacity: { tables, seats }, reservations }>}
+ */
+export const groupBySlot = (reservations) => {
+  const groups = new Map();
+
+  for (const r of reservations) {
+    const restaurant = r.restaurant || {};
+    const key = `${restaurant._id || restaurant}|${r.date}|${r.time}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        restaurant: { _id: restaurant._id || restaurant, name: restaurant.name },
+        date: r.date,
+        time: r.time,
+        covers: 0,
+        bookings: 0,
+        capacity: {
+          tables: restaurant._id ? tableCapacity(restaurant) : null,
+          seats: restaurant._id && usesTableInventory(restaurant) ? totalSeats(activeTables(restaurant)) : null,
+        },
+        reservations: [],
+        preOrders: [], // items to prepare for the slot (filled below)
+      });
+    }
+    const group = groups.get(key);
+    group.reservations.push(r);
+    if (!RELEASED_STATUSES.includes(r.status)) {
+      group.covers += Number(r.partySize) || 0;
+      group.bookings += 1;
+    }
+  }
+
+  for (const group of groups.values()) {
+    group.preOrders = summarizePreOrders(group.reservations.filter((r) => !RELEASED_STATUSES.includes(r.status)));
+  }
+
+  return [...groups.values()].sort(
+    (a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || String(a.restaurant.name).localeCompare(String(b.restaurant.name))
+  );
+};
+
+// column order of CSV exports (also the columns the importer understands)
+export const EXPORT_COLUMNS = [
+  "id",
+  "restaurant",
+  "date",
+  "time",
+  "partySize",
+  "status",
+  "source",
+  "name",
+  "email",
+  "phone",
+  "area",
+  "tables",
+  "externalRef",
+  "preOrder",
+  "createdAt",
+];
+
+/**
+ * Flat row for CSV / JSON export.
+ *
+ * @param {Object} r reservation populated with user (name, email, phone) and restaurant (name, tables)
+ */
+export const toExportRow = (r) => {
+  const restaurant = r.restaurant || {};
+  const labels = new Map((restaurant.tables || []).map((t) => [t._id.toString(), t.label]));
+  return {
+    id: r._id.toString(),
+    restaurant: restaurant.name || String(restaurant._id || restaurant),
+    date: r.date,
+    time: r.time,
+    partySize: r.partySize,
+    status: r.status,
+    source: r.source || "online",
+    name: r.user?.name || r.guest?.name || "",
+    email: r.user?.email || r.guest?.email || "",
+    phone: r.user?.phone || r.guest?.phone || "",
+    area: r.area || "",
+    tables: (r.tables || []).map((id) => labels.get(id.toString()) || id.toString()).join(" "),
+    externalRef: r.externalRef || "",
+    preOrder: (r.preOrder?.items || []).map((l) => `${l.quantity}x ${l.name}${l.notes ? ` (${l.notes})` : ""}`).join("; "),
+    createdAt: r.createdAt,
+  };
+};
+
+export const EXPORT_LIMIT = 10000;
+
+/**
+ * Export rows for a filter built by buildReservationFilter, oldest first
+ */
+export const loadExportRows = async (filter) => {
+  const reservations = await Reservation.find(filter)
+    .populate("user", "name email phone")
+    .populate("restaurant", "name tables")
+    .sort({ startAt: 1, date: 1, time: 1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+  return reservations.map(toExportRow);
+};
@@ -0,0 +1,287 @@
+// services/reservations.js
+// Reservation changes shared by the authenticated routes, admin routes and signed manage links,
+// so every entry point applies the same slot, capacity and lifecycle checks and emits the same events.
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import User from "../models/User.js";
+import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability, reservationWindow } from "./availability.js";
+import { withRestaurantLock } from "./bookingLock.js";
+import { freedSlot, triggerWaitlistPromotion } from "./waitlist.js";
+import { triggerReservationNotification } from "./notifications/index.js";
+import { chargeLateCancelFee } from "./cancellationFees.js";
+import { refundReservationPayments } from "./refunds.js";
+import { expireOpenCheckouts } from "./paymentLifecycle.js";
+import { recordGuestOutcome, trackStatusOutcome } from "./guestStats.js";
+import { evaluateCancellation, evaluateModification } from "../utils/cancellationPolicy.js";
+import { isBookableSlot, normalizeTime } from "../utils/hours.js";
+import { localToInstant, normalizeDate, restaurantTimeZone, utcToZoned } from "../utils/time.js";
+import { applyStatusChange, initialStatusEntry, recordHistoryNote, RELEASED_STATUSES } from "../utils/reservationStatus.js";
+import { httpError } from "../utils/httpError.js";
+
+// guests may only move bookings that are still upcoming
+export const RESCHEDULABLE_STATUSES = ["pending", "confirmed"];
+
+// statuses staff may start a phone / walk-in booking in
+export const STAFF_INITIAL_STATUSES = ["pending", "confirmed", "seated"];
+const STAFF_SOURCES = ["phone", "walk_in"];
+
+const restaurantIdOf = (reservation) => reservation.restaurant?._id || reservation.restaurant;
+
+const startOf = (reservation, restaurant) =>
+  reservation.startAt || localToInstant(restaurant, reservation.date, reservation.time);
+
+/**
+ * Move / resize a reservation. Throws errors carrying an HTTP status (400/404/409).
+ * Moves to another slot are recorded in the status history with who moved it and why.
+ *
+ * @param {Object} reservation Reservation document
+ * @param {{ date?, time?, partySize?, area? }} changes raw request values
+ * @param {{ asGuest?: boolean, by?: ObjectId, reason?: string }} options guests are held to the
+ *   restaurant's cancellation policy; reason goes into the history and the guest's notification
+ * @returns {Promise<Object>} the saved reservation (user + restaurant populated)
+ */
+export const rescheduleReservation = async (reservation, changes = {}, { asGuest = false, by, reason } = {}) => {
+  const date = changes.date ? normalizeDate(changes.date) || changes.date : undefined;
+  const time = changes.time ? normalizeTime(changes.time) || changes.time : undefined;
+  const { partySize, area } = changes;
+
+  if (partySize !== undefined && (!Number.isInteger(Number(partySize)) || Number(partySize) < 1)) {
+    throw httpError(400, "Invalid party size");
+  }
+  if (!RESCHEDULABLE_STATUSES.includes(reservation.status)) {
+    throw httpError(400, "Reservation can no longer be changed");
+  }
+
+  // if date/time are changing, check availability
+  const newDate = date ?? reservation.date;
+  const newTime = time ?? reservation.time;
+  const newPartySize = partySize ? Number(partySize) : reservation.partySize;
+  const newArea = area ?? reservation.area;
+  const previousSlot = freedSlot(reservation);
+
+  const restaurant = await Restaurant.findById(restaurantIdOf(reservation));
+  if (!restaurant) throw httpError(404, "Restaurant not found");
+
+  if (asGuest) {
+    const verdict = evaluateModification(restaurant.cancellationPolicy, startOf(reservation, restaurant));
+    if (!verdict.allowed) throw httpError(400, verdict.reason);
+  }
+
+  if ((date || time) && !isBookableSlot(restaurant, newDate, newTime)) {
+    throw httpError(400, "Requested time is not an available slot");
+  }
+  const { startAt: newStartAt, endAt: newEndAt } = reservationWindow(restaurant, newDate, newTime, newPartySize);
+  if ((date || time) && newStartAt <= new Date()) {
+    throw httpError(400, "Requested time is in the past");
+  }
+
+  const saved = await withRestaurantLock(restaurant._id, async () => {
+    const slot = await checkSlotAvailability(restaurant, {
+      date: newDate,
+      time: newTime,
+      partySize: newPartySize,
+      area: newArea,
+      excludeId: reservation._id, // exclude this reservation
+    });
+    if (!slot.canSeat) return null;
+
+    if (newDate !== reservation.date || newTime !== reservation.time) {
+      const move = `Moved from ${reservation.date} ${reservation.time} to ${newDate} ${newTime}`;
+      recordHistoryNote(reservation, { by, note: reason ? `${move}: ${reason}` : move });
+    }
+    if (date) reservation.date = date;
+    if (time) reservation.time = time;
+    reservation.startAt = newStartAt;
+    reservation.endAt = newEndAt;
+    if (partySize) reservation.partySize = newPartySize;
+    if (area !== undefined) reservation.area = area;
+    reservation.tables = slot.tables;
+
+    return reservation.save();
+  });
+
+  if (!saved) throw httpError(409, "Requested slot is fully booked");
+  triggerWaitlistPromotion(restaurant._id, previousSlot);
+
+  await reservation.populate("user", "name email");
+  await reservation.populate("restaurant", "name");
+
+  safeEmit("reservationUpdated", reservation);
+  safeEmit("reservationUpdated", reservation, `restaurant_${reservation.restaurant._id}`);
+  triggerReservationNotification(reservation, "rescheduled", reason ? { reason } : {});
+
+  return reservation;
+};
+
+/**
+ * Cancel a reservation, notify, and offer the freed tables to the waitlist.
+ * Guest cancellations follow the restaurant's policy: none once started, and a late-cancel fee
+ * inside the free-cancel window (withheld from a paid deposit or left outstanding).
+ * Open checkouts are closed with the provider. A paid deposit is refunded: what is left after the fee,
+ * scaled by the policy's lateCancelRefundPercent for late guest cancels, and in full when staff cancel.
+ *
+ * @param {Object} reservation Reservation document
+ * @param {{ by?: ObjectId, note?: string, asGuest?: boolean }} meta who cancelled and why
+ */
+export const cancelReservationRecord = async (reservation, { by, note, asGuest = false } = {}) => {
+  let fee = 0;
+  let late = false;
+  let refundPercent = 100;
+  if (asGuest) {
+    const restaurant = await Restaurant.findById(restaurantIdOf(reservation)).select("cancellationPolicy timezone");
+    const verdict = evaluateCancellation(restaurant?.cancellationPolicy, startOf(reservation, restaurant));
+    if (!verdict.allowed) throw httpError(400, verdict.reason);
+    fee = verdict.fee;
+    late = verdict.late;
+    refundPercent = verdict.refundPercent;
+  }
+
+  applyStatusChange(reservation, "cancelled", { by, note });
+  if (fee > 0) reservation.lateCancelFee = fee;
+  await reservation.save();
+  await expireOpenCheckouts(reservation._id);
+  if (fee > 0) await chargeLateCancelFee(reservation, fee);
+  await refundReservationPayments(reservation, { percent: refundPercent, by, reason: note });
+  if (late) await recordGuestOutcome(reservation, "late_cancel");
+
+  const restaurantId = restaurantIdOf(reservation);
+  safeEmit("reservationCancelled", { reservationId: reservation._id, restaurant: restaurantId });
+  safeEmit("reservationCancelled", reservation, `restaurant_${restaurantId}`);
+  triggerReservationNotification(reservation, "cancelled");
+
+  // freed tables go to the waitlist
+  triggerWaitlistPromotion(restaurantId, freedSlot(reservation));
+
+  return reservation;
+};
+
+/**
+ * Owner/admin status change (confirm, seat, complete, no-show...): saves, emits, notifies the guest,
+ * records no-show / completed outcomes and offers released tables to the waitlist.
+ * Cancelling refunds a paid deposit in full; released reservations have their open checkouts closed.
+ * Throws a 400 for illegal transitions.
+ *
+ * @param {Object} reservation Reservation document
+ * @param {string} status target status
+ * @param {{ by?: ObjectId, note?: string }} meta
+ */
+export const changeReservationStatus = async (reservation, status, { by, note } = {}) => {
+  applyStatusChange(reservation, status, { by, note });
+  await reservation.save();
+  await reservation.populate("user", "name email");
+
+  const restaurantId = restaurantIdOf(reservation);
+  safeEmit("reservationStatusChanged", { reservationId: reservation._id, status });
+  safeEmit("reservationStatusChanged", { reservationId: reservation._id, status, reservation }, `restaurant_${restaurantId}`);
+  triggerReservationNotification(reservation, status === "cancelled" ? "cancelled" : "statusChanged");
+  trackStatusOutcome(reservation);
+  if (RELEASED_STATUSES.includes(status)) await expireOpenCheckouts(reservation._id);
+  if (status === "cancelled") await refundReservationPayments(reservation, { by, reason: note || "Cancelled by the restaurant" });
+
+  if (RELEASED_STATUSES.includes(status)) {
+    triggerWaitlistPromotion(restaurantId, freedSlot(reservation));
+  }
+
+  return reservation;
+};
+
+/**
+ * Booking taken by staff on a guest's behalf (phone call, walk-in).
+ * Walk-ins default to "now" at the restaurant and start seated; phone bookings must be a
+ * bookable upcoming slot and start confirmed. Both count against capacity like online bookings.
+ * If the guest email belongs to a verified account the reservation is linked to it right away.
+ *
+ * @param {Object} restaurant Restaurant document
+ * @param {{ date?, time?, partySize, area?, source, status?, guest: { name, phone?, email? } }} input raw request values
+ * @param {ObjectId} staffId who took the booking
+ * @returns {Promise<Object>} the created reservation (user + restaurant populated)
+ */
+export const createStaffReservation = async (restaurant, input = {}, staffId) => {
+  const source = input.source || "phone";
+  if (!STAFF_SOURCES.includes(source)) throw httpError(400, `Invalid source: ${source}`);
+
+  const guest = {
+    name: input.guest?.name?.trim(),
+    phone: input.guest?.phone?.trim() || undefined,
+    email: input.guest?.email?.trim().toLowerCase() || undefined,
+  };
+  if (!guest.name) throw httpError(400, "Guest name is required");
+
+  const partySize = Number(input.partySize);
+  if (!Number.isInteger(partySize) || partySize < 1) throw httpError(400, "Invalid party size");
+
+  const status = input.status || (source === "walk_in" ? "seated" : "confirmed");
+  if (!STAFF_INITIAL_STATUSES.includes(status)) throw httpError(400, `Invalid initial status: ${status}`);
+
+  let date;
+  let time;
+  if (source === "walk_in" && !input.date && !input.time) {
+    ({ date, time } = utcToZoned(new Date(), restaurantTimeZone(restaurant)));
+  } else {
+    date = normalizeDate(input.date);
+    time = normalizeTime(input.time);
+    if (!date || !time) throw httpError(400, "Invalid date or time");
+  }
+
+  const { startAt, endAt } = reservationWindow(restaurant, date, time, partySize);
+  if (!startAt) throw httpError(400, "Invalid date or time");
+  if (source !== "walk_in") {
+    if (!isBookableSlot(restaurant, date, time)) throw httpError(400, "Selected time is not an available slot");
+    if (startAt <= new Date()) throw httpError(400, "Selected time is in the past");
+  }
+
+  // only verified accounts: anyone can register with an address they do not own
+  const account = guest.email
+    ? await User.findOne({ email: guest.email, emailVerifiedAt: { $ne: null } }).select("_id")
+    : null;
+
+  const reservation = await withRestaurantLock(restaurant._id, async () => {
+    const slot = await checkSlotAvailability(restaurant, { date, time, partySize, area: input.area });
+    if (!slot.canSeat) return null;
+
+    return Reservation.create({
+      user: account?._id,
+      guest,
+      source,
+      createdBy: staffId,
+      restaurant: restaurant._id,
+      date,
+      time,
+      startAt,
+      endAt,
+      partySize,
+      tables: slot.tables,
+      area: input.area,
+      status,
+      statusHistory: [initialStatusEntry(status, staffId, `${source.replace("_", "-")} booking`)],
+    });
+  });
+  if (!reservation) throw httpError(409, "No availability for selected slot");
+
+  await reservation.populate("user", "name email");
+  await reservation.populate("restaurant", "name location owner");
+
+  safeEmit("reservationCreated", reservation);
+  safeEmit("reservationCreated", reservation, `restaurant_${restaurant._id}`);
+  // walk-ins are already at the table; no confirmation or reminders
+  if (source !== "walk_in") triggerReservationNotification(reservation, "created");
+
+  return reservation;
+};
+
+/**
+ * Attach staff-entered bookings to an account with the same email. Only call this once the account
+ * has verified that email (services/emailVerification.js).
+ *
+ * @param {{ _id, email }} user
+ * @returns {Promise<number>} number of reservations linked
+ */
+export const linkGuestReservations = async (user) => {
+  if (!user?.email) return 0;
+  const result = await Reservation.updateMany(
+    { user: null, "guest.email": String(user.email).toLowerCase() },
+    { $set: { user: user._id } }
+  );
+  return result.modifiedCount || 0;
+};
@@ -0,0 +1,215 @@
+// services/revenueReports.js
+// Money per restaurant and period, aggregated from Payment joined to Reservation and Restaurant.
+// Payments count on the local day (restaurant timezone) they were paid, refunds on the day they
+// went through. Fees withheld from a deposit are already part of that deposit, so net leaves them out.
+import mongoose from "mongoose";
+import Payment from "../models/Payment.js";
+import { DEFAULT_TIMEZONE, normalizeDate, todayIn } from "../utils/time.js";
+import { httpError } from "../utils/httpError.js";
+
+export const REPORT_INTERVALS = ["day", "week", "month"];
+export const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 732;
+
+// payments whose money was received (refunds are reported separately)
+const PAID_STATUSES = ["completed", "refund_pending", "partially_refunded", "refunded"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// column order of the CSV export
+export const REPORT_COLUMNS = [
+  "period",
+  "restaurant",
+  "currency",
+  "deposits",
+  "preOrders",
+  "fees",
+  "feesWithheld",
+  "refunds",
+  "net",
+  "payments",
+  "refundCount",
+];
+
+/**
+ * Validate report query params. Returns { from, to, interval } (local YYYY-MM-DD, inclusive)
+ */
+export const parseReportRange = (query = {}) => {
+  const interval = query.interval || "day";
+  if (!REPORT_INTERVALS.includes(interval)) throw httpError(400, `interval must be one of ${REPORT_INTERVALS.join(", ")}`);
+
+  const to = query.to ? normalizeDate(query.to) : todayIn();
+  const from = query.from
+    ? normalizeDate(query.from)
+    : to && new Date(Date.parse(`${to}T00:00:00Z`) - (DEFAULT_REPORT_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+  if (!from || !to || from > to) throw httpError(400, "Invalid date range (YYYY-MM-DD)");
+
+  const days = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS + 1;
+  if (days > MAX_REPORT_DAYS) throw httpError(400, `Date range is limited to ${MAX_REPORT_DAYS} days`);
+  return { from, to, interval };
+};
+
+// period label of a local day: 2026-03-14 (day), 2026-03-09 (week, starts Monday), 2026-03 (month)
+const periodExpr = (interval, dateField) => {
+  if (interval === "month") return { $dateToString: { format: "%Y-%m", date: dateField, timezone: "$tz" } };
+  if (interval === "week") {
+    return {
+      $dateToString: {
+        format: "%Y-%m-%d",
+        date: { $dateTrunc: { date: dateField, unit: "week", startOfWeek: "monday", timezone: "$tz" } },
+        timezone: "$tz",
+      },
+    };
+  }
+  return "$day";
+};
+
+/**
+ * Stages shared by both pipelines: join the restaurant, work out the local day / period and keep the range
+ */
+const localStages = ({ restaurantIds, from, to, interval }, dateField) => [
+  {
+    $lookup: {
+      from: "reservations",
+      localField: "reservation",
+      foreignField: "_id",
+      as: "reservation",
+      pipeline: [{ $project: { restaurant: 1 } }],
+    },
+  },
+  { $unwind: "$reservation" },
+  ...(restaurantIds ? [{ $match: { "reservation.restaurant": { $in: restaurantIds } } }] : []),
+  {
+    $lookup: {
+      from: "restaurants",
+      localField: "reservation.restaurant",
+      foreignField: "_id",
+      as: "restaurant",
+      pipeline: [{ $project: { name: 1, timezone: 1, currency: 1 } }],
+    },
+  },
+  { $unwind: "$restaurant" },
+  { $set: { tz: { $ifNull: ["$restaurant.timezone", DEFAULT_TIMEZONE] } } },
+  { $set: { day: { $dateToString: { format: "%Y-%m-%d", date: dateField, timezone: "$tz" } } } },
+  { $match: { day: { $gte: from, $lte: to } } },
+  { $set: { period: periodExpr(interval, dateField) } },
+];
+
+/**
+ * Build the report.
+ *
+ * @param {{ restaurantIds: Array|null, from, to, interval, byRestaurant?: boolean }} options
+ *   restaurantIds null = all restaurants (admins); byRestaurant false merges restaurants per period
+ * @returns {Promise<{ from, to, interval, rows: Array, totals: Array }>} totals are per currency
+ */
+export const buildRevenueReport = async ({ restaurantIds = null, from, to, interval = "day", byRestaurant = true }) => {
+  const ids = restaurantIds?.map((id) => new mongoose.Types.ObjectId(String(id)));
+  // instants a day either side cover every timezone; the local-day match does the exact cut
+  const lo = new Date(Date.parse(`${from}T00:00:00Z`) - DAY_MS);
+  const hi = new Date(Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS);
+  const scope = { restaurantIds: ids, from, to, interval };
+
+  const paidAt = { $ifNull: ["$paidAt", "$createdAt"] }; // withheld fees are recorded already completed
+  const payments = await Payment.aggregate([
+    {
+      $match: {
+        status: { $in: PAID_STATUSES },
+        $or: [{ paidAt: { $gte: lo, $lt: hi } }, { paidAt: null, createdAt: { $gte: lo, $lt: hi } }],
+      },
+    },
+    ...localStages(scope, paidAt),
+    {
+      $group: {
+        _id: {
+          period: "$period",
+          restaurant: "$restaurant._id",
+          type: "$type",
+          withheld: { $gt: ["$source", null] },
+          currency: { $ifNull: ["$currency", "usd"] },
+        },
+        name: { $first: "$restaurant.name" },
+        amount: { $sum: "$amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const refundedAt = { $ifNull: ["$refunds.processedAt", "$refunds.createdAt"] };
+  const refunds = await Payment.aggregate([
+    { $match: { "refunds.status": "succeeded" } },
+    { $unwind: "$refunds" },
+    {
+      $match: {
+        "refunds.status": "succeeded",
+        $or: [
+          { "refunds.processedAt": { $gte: lo, $lt: hi } },
+          { "refunds.processedAt": null, "refunds.createdAt": { $gte: lo, $lt: hi } },
+        ],
+      },
+    },
+    ...localStages(scope, refundedAt),
+    {
+      $group: {
+        _id: { period: "$period", restaurant: "$restaurant._id", currency: { $ifNull: ["$currency", "usd"] } },
+        name: { $first: "$restaurant.name" },
+        amount: { $sum: "$refunds.amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ period, restaurant, currency }, name) => {
+    const key = byRestaurant ? `${period}|${restaurant}|${currency}` : `${period}|${currency}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        period,
+        ...(byRestaurant ? { restaurantId: restaurant, restaurant: name } : {}),
+        currency,
+        deposits: 0,
+        preOrders: 0,
+        fees: 0,
+        feesWithheld: 0,
+        refunds: 0,
+        net: 0,
+        payments: 0,
+        refundCount: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const p of payments) {
+    const row = rowFor(p._id, p.name);
+    if (p._id.type === "late_cancel_fee") {
+      row.fees += p.amount;
+      if (p._id.withheld) row.feesWithheld += p.amount;
+    } else if (p._id.type === "pre_order") row.preOrders += p.amount;
+    else row.deposits += p.amount;
+    if (!p._id.withheld) row.payments += p.count;
+  }
+  for (const r of refunds) {
+    const row = rowFor(r._id, r.name);
+    row.refunds += r.amount;
+    row.refundCount += r.count;
+  }
+
+  const money = ["deposits", "preOrders", "fees", "feesWithheld", "refunds", "net"];
+  const totals = new Map();
+  const sorted = [...rows.values()].sort(
+    (a, b) => a.period.localeCompare(b.period) || String(a.restaurant || "").localeCompare(String(b.restaurant || ""))
+  );
+  for (const row of sorted) {
+    row.net = row.deposits + row.preOrders + row.fees - row.feesWithheld - row.refunds;
+    money.forEach((k) => (row[k] = round2(row[k])));
+
+    const total = totals.get(row.currency) || { currency: row.currency, payments: 0, refundCount: 0 };
+    money.forEach((k) => (total[k] = round2((total[k] || 0) + row[k])));
+    total.payments += row.payments;
+    total.refundCount += row.refundCount;
+    totals.set(row.currency, total);
+  }
+
+  return { from, to, interval, rows: sorted, totals: [...totals.values()] };
+};
@@ -0,0 +1,178 @@
+// services/waitlist.js
+import Waitlist from "../models/Waitlist.js";
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import { safeEmit } from "../socketHelper.js";
+import { checkSlotAvailability, reservationWindow } from "./availability.js";
+import { withRestaurantLock } from "./bookingLock.js";
+import { initialStatusEntry } from "../utils/reservationStatus.js";
+import { isBookableSlot } from "../utils/hours.js";
+import { todayIn, restaurantTimeZone, utcToZoned } from "../utils/time.js";
+import { triggerReservationNotification } from "./notifications/index.js";
+
+// how long a waitlisted guest has to accept an offered slot
+export const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 15;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emitOffer = (entry, reservation) => {
+  const payload = {
+    waitlistId: entry._id,
+    reservationId: reservation._id,
+    user: entry.user,
+    restaurant: entry.restaurant,
+    date: entry.date,
+    time: entry.time,
+    partySize: entry.partySize,
+    holdExpiresAt: entry.holdExpiresAt,
+  };
+  safeEmit("waitlistOffered", payload);
+  safeEmit("waitlistOffered", payload, `restaurant_${entry.restaurant}`);
+  safeEmit("waitlistOffered", payload, `user_${entry.user}`);
+};
+
+/**
+ * What a released reservation frees up, for promoteWaitlist (rows without startAt free their whole day)
+ */
+export const freedSlot = (reservation) => ({
+  date: reservation.date,
+  startAt: reservation.startAt,
+  endAt: reservation.endAt,
+});
+
+/**
+ * Offer freed capacity to waitlisted guests (oldest first).
+ * Each guest that now fits gets a "held" reservation that expires after HOLD_MINUTES.
+ *
+ * @param {string|ObjectId} restaurantId
+ * @param {{ date?: string, startAt?: Date, endAt?: Date }} freed span whose tables were released: entries
+ *   whose own window overlaps it are offered; date alone covers one day; omit for all upcoming dates
+ * @returns {Promise<number>} number of offers made
+ */
+export const promoteWaitlist = async (restaurantId, { date, startAt, endAt } = {}) => {
+  const restaurant = await Restaurant.findById(restaurantId);
+  if (!restaurant) return 0;
+
+  const tz = restaurantTimeZone(restaurant);
+  const span = startAt && endAt ? { start: new Date(startAt).getTime(), end: new Date(endAt).getTime() } : null;
+  const filter = { restaurant: restaurant._id, status: "waiting" };
+  if (span) {
+    // a booking from the day before can still be at the table; the window check below is exact
+    filter.date = { $gte: utcToZoned(new Date(span.start - DAY_MS), tz).date, $lte: utcToZoned(new Date(span.end), tz).date };
+  } else if (date) filter.date = date;
+  else filter.date = { $gte: todayIn(tz) };
+
+  let entries = await Waitlist.find(filter).sort({ createdAt: 1 });
+  if (span) {
+    entries = entries.filter((entry) => {
+      const window = reservationWindow(restaurant, entry.date, entry.time, entry.partySize);
+      return window.startAt && window.startAt.getTime() < span.end && window.endAt.getTime() > span.start;
+    });
+  }
+  let offers = 0;
+
+  for (const entry of entries) {
+    // closures / changed hours may have removed the slot entirely; capacity is re-checked under the lock
+    if (!isBookableSlot(restaurant, entry.date, entry.time)) continue;
+
+    const reservation = await withRestaurantLock(restaurant._id, async () => {
+      const slot = await checkSlotAvailability(restaurant, {
+        date: entry.date,
+        time: entry.time,
+        partySize: entry.partySize,
+        area: entry.area,
+      });
+      if (!slot.canSeat) return null;
+
+      const holdExpiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+      const held = await Reservation.create({
+        user: entry.user,
+        restaurant: restaurant._id,
+        date: entry.date,
+        time: entry.time,
+        ...reservationWindow(restaurant, entry.date, entry.time, entry.partySize),
+        partySize: entry.partySize,
+        area: entry.area,
+        tables: slot.tables,
+        status: "held",
+        statusHistory: [initialStatusEntry("held", undefined, "Waitlist offer")],
+        holdExpiresAt,
+      });
+
+      entry.status = "offered";
+      entry.reservation = held._id;
+      entry.offeredAt = new Date();
+      entry.holdExpiresAt = holdExpiresAt;
+      await entry.save();
+      return held;
+    });
+
+    if (reservation) {
+      offers += 1;
+      emitOffer(entry, reservation);
+      triggerReservationNotification(reservation, "waitlistOffered");
+    }
+  }
+
+  return offers;
+};
+
+/**
+ * Fire-and-forget promotion used by cancel / capacity-change handlers
+ */
+export const triggerWaitlistPromotion = (restaurantId, slot = {}) => {
+  promoteWaitlist(restaurantId, slot).catch((err) =>
+    console.warn("waitlist promotion failed:", err?.message || err)
+  );
+};
+
+/**
+ * Release a held reservation and move its waitlist entry to the given status.
+ * Returns the released reservation, or null when nothing was held.
+ */
+export const releaseHold = async (entry, status, by) => {
+  entry.status = status;
+  await entry.save();
+  if (!entry.reservation) return null;
+  return Reservation.findOneAndUpdate(
+    { _id: entry.reservation, status: "held" },
+    {
+      status: "cancelled",
+      $unset: { holdExpiresAt: 1 },
+      $inc: { calendarSequence: 1 },
+      $push: {
+        statusHistory: { from: "held", to: "cancelled", by, note: `Waitlist offer ${status}`, at: new Date() },
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Expire offers whose hold ran out, and waiting entries for slots already in the past.
+ * Freed slots are offered to the next guest in line.
+ */
+export const expireStaleHolds = async () => {
+  const now = new Date();
+
+  const stale = await Waitlist.find({ status: "offered", holdExpiresAt: { $lte: now } });
+  for (const entry of stale) {
+    const released = await releaseHold(entry, "expired");
+    safeEmit("waitlistOfferExpired", { waitlistId: entry._id, restaurant: entry.restaurant }, `restaurant_${entry.restaurant}`);
+    if (released) await promoteWaitlist(entry.restaurant, freedSlot(released));
+  }
+
+  await Waitlist.updateMany({ status: "waiting", startAt: { $lt: now } }, { status: "expired" });
+  return stale.length;
+};
+
+/**
+ * Periodically expire holds (call once after the server starts)
+ */
+export const startWaitlistSweeper = () => {
+  const timer = setInterval(() => {
+    expireStaleHolds().catch((err) => console.warn("waitlist sweep failed:", err?.message || err));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+};
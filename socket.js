@@ -1,8 +1,22 @@
 // socket.js
 import { Server } from "socket.io";
+import jwt from "jsonwebtoken";
 
 let io; // socket.io server instance
 
+/**
+ * User id from the JWT the client sent in its handshake (auth: { token }); null when missing/invalid
+ */
+const handshakeUserId = (socket) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).id || null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Initialize socket.io server (call once after creating http server)
  * @param {http.Server} server
@@ -36,6 +50,18 @@ export const initSocket = (server) => {
       }
     });
 
+    // guests listen for their own notifications (e.g. waitlist offers); the room comes from the
+    // handshake token, never from the client, so nobody can subscribe to another user's events
+    socket.on("joinUserRoom", () => {
+      const userId = handshakeUserId(socket);
+      if (userId) socket.join(`user_${userId}`);
+    });
+
+    socket.on("leaveUserRoom", () => {
+      const userId = handshakeUserId(socket);
+      if (userId) socket.leave(`user_${userId}`);
+    });
+
     socket.on("disconnect", (reason) => {
       console.log("Socket disconnected:", socket.id, reason);
     });
@@ -0,0 +1,119 @@
+// test/bookingConcurrency.test.js
+// Many guests booking the same slot at once must never get more bookings than the restaurant can seat.
+// Runs against an in-memory MongoDB (mongodb-memory-server), or MONGO_TEST_URI when that is set;
+// skipped when neither is available (mongodb-memory-server downloads its binary on first use).
+//   npm test
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import Reservation from "../models/Reservation.js";
+import Restaurant from "../models/Restaurant.js";
+import { createReservation } from "../controllers/reservationController.js";
+import { rescheduleReservation } from "../services/reservations.js";
+
+const PARALLEL = 25;
+const TABLES = 3;
+
+const startDatabase = async () => {
+  if (process.env.MONGO_TEST_URI) return { uri: process.env.MONGO_TEST_URI };
+  try {
+    const server = await MongoMemoryServer.create();
+    return { uri: server.getUri(), server };
+  } catch (err) {
+    console.warn(`booking concurrency tests skipped, no MongoDB: ${err.message}`);
+    return null;
+  }
+};
+
+const db = await startDatabase();
+const skip = !db && "needs MongoDB (set MONGO_TEST_URI or let mongodb-memory-server download its binary)";
+
+before(async () => {
+  if (!db) return;
+  await mongoose.connect(db.uri, { dbName: `booking-concurrency-${Date.now()}` });
+});
+
+after(async () => {
+  if (!db) return;
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (db.server) await db.server.stop();
+});
+
+beforeEach(async () => {
+  if (!db) return;
+  await Promise.all([Reservation.deleteMany({}), Restaurant.deleteMany({})]);
+});
+
+// a date a few days ahead, so every slot is in the future
+const upcomingDate = () => new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const createRestaurant = () =>
+  Restaurant.create({
+    name: "Concurrency Bistro",
+    tables: Array.from({ length: TABLES }, (_, i) => ({ label: `T${i + 1}`, minSeats: 1, maxSeats: 4 })),
+  });
+
+// minimal Express req/res pair for calling a controller directly
+const book = async (restaurant, body) => {
+  const req = { user: { _id: new mongoose.Types.ObjectId(), role: "user" }, body: { restaurant: String(restaurant._id), ...body } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await createReservation(req, res);
+  return res;
+};
+
+const activeAt = (restaurant, date, time) =>
+  Reservation.countDocuments({ restaurant: restaurant._id, date, time, status: { $ne: "cancelled" } });
+
+test("parallel bookings for one slot never exceed the table inventory", { skip }, async () => {
+  const restaurant = await createRestaurant();
+  const date = upcomingDate();
+
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL }, () => book(restaurant, { date, time: "19:00", partySize: 2 }))
+  );
+
+  const created = results.filter((r) => r.statusCode === 201);
+  const busy = results.filter((r) => r.statusCode === 503); // gave up waiting for the lock
+  assert.ok(results.every((r) => [201, 409, 503].includes(r.statusCode)));
+  assert.ok(created.length <= TABLES);
+  if (!busy.length) assert.equal(created.length, TABLES);
+  assert.equal(await activeAt(restaurant, date, "19:00"), created.length);
+
+  // every booking got its own table
+  const tables = created.flatMap((r) => r.body.tables.map(String));
+  assert.equal(new Set(tables).size, created.length);
+});
+
+test("parallel reschedules into a full slot never overbook it", { skip }, async () => {
+  const restaurant = await createRestaurant();
+  const date = upcomingDate();
+
+  // fill 19:00 except one table, then have guests from a far-away slot all move in at once
+  for (let i = 0; i < TABLES - 1; i++) {
+    assert.equal((await book(restaurant, { date, time: "19:00", partySize: 2 })).statusCode, 201);
+  }
+  const movers = [];
+  for (let i = 0; i < TABLES; i++) {
+    const res = await book(restaurant, { date, time: "12:00", partySize: 2 });
+    assert.equal(res.statusCode, 201);
+    movers.push(await Reservation.findById(res.body._id));
+  }
+
+  const outcomes = await Promise.allSettled(movers.map((r) => rescheduleReservation(r, { time: "19:00" })));
+
+  assert.ok(outcomes.filter((o) => o.status === "fulfilled").length <= 1);
+  assert.ok(outcomes.filter((o) => o.status === "rejected").every((o) => [409, 503].includes(o.reason.status)));
+  assert.ok((await activeAt(restaurant, date, "19:00")) <= TABLES);
+});
@@ -0,0 +1,70 @@
+// test/csv.test.js
+// CSV parsing for reservation import (utils/csv.js): each row reports the file line it starts on,
+// so import errors point at the right place with quoted line breaks, CRLF line ends and a BOM.
+//   npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseCsvRows, toCsv } from "../utils/csv.js";
+
+const linesOf = (text) => parseCsvRows(text).map((r) => r.line);
+
+test("rows are numbered by their file line, skipping blank lines", () => {
+  const text = "name,time\nAda,19:00\n\nGrace,19:30\n";
+  assert.deepEqual(parseCsvRows(text), [
+    { line: 1, cells: ["name", "time"] },
+    { line: 2, cells: ["Ada", "19:00"] },
+    { line: 4, cells: ["Grace", "19:30"] },
+  ]);
+});
+
+test("a quoted line break belongs to its cell and pushes later rows down", () => {
+  const text = 'name,notes\nAda,"window seat\nplease"\nGrace,"line one\n\nline three"\nLin,none\n';
+  const rows = parseCsvRows(text);
+  assert.deepEqual(rows.map((r) => r.line), [1, 2, 4, 7]);
+  assert.equal(rows[1].cells[1], "window seat\nplease");
+  assert.equal(rows[2].cells[1], "line one\n\nline three");
+});
+
+test("CRLF line ends count once, inside and outside quotes", () => {
+  const text = 'name,notes\r\nAda,"window seat\r\nplease"\r\n\r\nGrace,"say ""hi"""\r\nLin,none';
+  const rows = parseCsvRows(text);
+  assert.deepEqual(rows.map((r) => r.line), [1, 2, 5, 6]);
+  assert.equal(rows[1].cells[1], "window seat\r\nplease");
+  assert.equal(rows[2].cells[1], 'say "hi"');
+  assert.deepEqual(rows[3].cells, ["Lin", "none"]);
+});
+
+test("lone CR line ends are counted too", () => {
+  assert.deepEqual(linesOf('a\rb,"x\ry"\rc'), [1, 2, 4]);
+});
+
+test("a leading BOM is dropped without shifting lines or the first header", () => {
+  const text = "\uFEFFname,time\r\nAda,19:00\r\n";
+  const { rows, lines } = parseCsv(text);
+  assert.deepEqual(rows, [{ name: "Ada", time: "19:00" }]);
+  assert.deepEqual(lines, [2]);
+});
+
+test("parseCsv keys records by the trimmed header and keeps their file lines", () => {
+  const text = '\uFEFF date , time ,notes\r\n2026-05-01,19:00,"two\r\nlines"\r\n\r\n2026-05-02,20:00\r\n';
+  assert.deepEqual(parseCsv(text), {
+    rows: [
+      { date: "2026-05-01", time: "19:00", notes: "two\r\nlines" },
+      { date: "2026-05-02", time: "20:00", notes: "" },
+    ],
+    lines: [2, 5],
+  });
+});
+
+test("toCsv output parses back to the same rows", () => {
+  const rows = [
+    { name: "Ada", notes: 'says "hi",\nthen leaves' },
+    { name: "=cmd", notes: "" },
+  ];
+  const { rows: parsed, lines } = parseCsv(toCsv(rows, ["name", "notes"]));
+  assert.deepEqual(parsed, [
+    { name: "Ada", notes: 'says "hi",\nthen leaves' },
+    { name: "'=cmd", notes: "" }, // formulas are neutralised on export
+  ]);
+  assert.deepEqual(lines, [2, 4]);
+});
@@ -0,0 +1,95 @@
+// test/cursor.test.js
+// Keyset pagination cursors (utils/cursor.js), including rows without startAt: paging through a list
+// with cursorFilter must visit every row once, in MongoDB's (startAt, _id) sort order.
+//   npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cursorFilter, decodeCursor, encodeCursor } from "../utils/cursor.js";
+
+const id = (n) => n.toString(16).padStart(24, "0");
+const at = (iso) => new Date(iso);
+
+// ids deliberately out of startAt order; two rows have no startAt at all and one has it set to null
+const ROWS = [
+  { _id: id(5), startAt: at("2026-05-01T18:00:00Z") },
+  { _id: id(2), startAt: at("2026-05-01T19:00:00Z") },
+  { _id: id(7), startAt: null },
+  { _id: id(3), startAt: at("2026-05-01T18:00:00Z") },
+  { _id: id(9) },
+  { _id: id(1), startAt: at("2026-05-02T12:00:00Z") },
+  { _id: id(4) },
+];
+
+// MongoDB sorts missing / null before any date
+const rank = (doc) => (doc.startAt ? doc.startAt.getTime() : -Infinity);
+const sortRows = (rows, direction) =>
+  [...rows].sort((a, b) => direction * (rank(a) - rank(b) || a._id.localeCompare(b._id)));
+
+// just enough of MongoDB's query semantics for the filters cursorFilter builds
+const compare = (a, b) => (a instanceof Date ? a.getTime() - b.getTime() : a < b ? -1 : a > b ? 1 : 0);
+const fieldMatches = (value, condition) => {
+  if (condition === null) return value === null || value === undefined;
+  if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+  if (typeof condition !== "object") return value === condition;
+  return Object.entries(condition).every(([op, operand]) => {
+    if (op === "$ne") return !fieldMatches(value, operand);
+    if (value === null || value === undefined) return false;
+    if (op === "$gt") return compare(value, operand) > 0;
+    if (op === "$lt") return compare(value, operand) < 0;
+    throw new Error(`unsupported operator ${op}`);
+  });
+};
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) =>
+    key === "$or" ? condition.some((f) => matches(doc, f)) : fieldMatches(doc[key], condition)
+  );
+
+const paginate = (rows, direction, pageSize) => {
+  const sorted = sortRows(rows, direction);
+  const seen = [];
+  let cursor = null;
+  for (let guard = 0; guard < rows.length + 1; guard++) {
+    const filter = cursor ? cursorFilter(decodeCursor(cursor), direction) : {};
+    const page = sorted.filter((doc) => matches(doc, filter)).slice(0, pageSize);
+    if (!page.length) return seen;
+    seen.push(...page.map((doc) => doc._id));
+    cursor = encodeCursor(page[page.length - 1]);
+  }
+  throw new Error("pagination did not finish");
+};
+
+test("cursors round-trip rows with and without startAt", () => {
+  assert.deepEqual(decodeCursor(encodeCursor(ROWS[0])), { startAt: ROWS[0].startAt, id: id(5) });
+  assert.deepEqual(decodeCursor(encodeCursor(ROWS[2])), { startAt: null, id: id(7) });
+  assert.deepEqual(decodeCursor(encodeCursor(ROWS[4])), { startAt: null, id: id(9) });
+});
+
+test("malformed cursors decode to null", () => {
+  const raw = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  assert.equal(decodeCursor("not a cursor"), null);
+  assert.equal(decodeCursor(raw({ s: null })), null);
+  assert.equal(decodeCursor(raw({ id: id(1) })), null);
+  assert.equal(decodeCursor(raw({ s: "yesterday", id: id(1) })), null);
+});
+
+test("ascending pages start with the rows without startAt, by _id", () => {
+  for (const pageSize of [1, 2, 3]) {
+    const ids = paginate(ROWS, 1, pageSize);
+    assert.deepEqual(ids, [id(4), id(7), id(9), id(3), id(5), id(2), id(1)], `page size ${pageSize}`);
+  }
+});
+
+test("descending pages end with the rows without startAt, by _id", () => {
+  for (const pageSize of [1, 2, 3]) {
+    const ids = paginate(ROWS, -1, pageSize);
+    assert.deepEqual(ids, [id(1), id(2), id(5), id(3), id(9), id(7), id(4)], `page size ${pageSize}`);
+  }
+});
+
+test("a cursor on a row without startAt skips past it in either direction", () => {
+  const cursor = decodeCursor(encodeCursor({ _id: id(7), startAt: null }));
+  const after = (direction) => sortRows(ROWS, direction).filter((doc) => matches(doc, cursorFilter(cursor, direction)));
+
+  assert.deepEqual(after(1).map((doc) => doc._id), [id(9), id(3), id(5), id(2), id(1)]);
+  assert.deepEqual(after(-1).map((doc) => doc._id), [id(4)]);
+});
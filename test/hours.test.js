@@ -0,0 +1,113 @@
+// test/hours.test.js
+// Opening-hours parsing and slot generation (utils/hours.js): am/pm and "24:00" times, split shifts,
+// ranges that run past midnight and date exceptions.
+//   npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateSlots, isBookableSlot, parseHoursString, parseTime } from "../utils/hours.js";
+
+// 2026-03-06 is a Friday, 2026-03-07 a Saturday
+const FRIDAY = "2026-03-06";
+const SATURDAY = "2026-03-07";
+
+const restaurant = (hours, extra = {}) => ({ hours, slotIntervalMinutes: 30, lastSeatingMinutes: 60, ...extra });
+
+test("parseTime reads 24-hour, dotted and am/pm times", () => {
+  assert.equal(parseTime("9"), 9 * 60);
+  assert.equal(parseTime("09:30"), 9 * 60 + 30);
+  assert.equal(parseTime("21.30"), 21 * 60 + 30);
+  assert.equal(parseTime("9pm"), 21 * 60);
+  assert.equal(parseTime("9:30 PM"), 21 * 60 + 30);
+  assert.equal(parseTime("12am"), 0);
+  assert.equal(parseTime("12:15 am"), 15);
+  assert.equal(parseTime("12pm"), 12 * 60);
+});
+
+test("parseTime accepts 24:00 as midnight and rejects out-of-range times", () => {
+  assert.equal(parseTime("24:00"), 24 * 60);
+  assert.equal(parseTime("24:30"), null);
+  assert.equal(parseTime("25:00"), null);
+  assert.equal(parseTime("9:60"), null);
+  assert.equal(parseTime("13pm"), null);
+  assert.equal(parseTime("0am"), null);
+  assert.equal(parseTime("noon"), null);
+  assert.equal(parseTime(""), null);
+  assert.equal(parseTime(null), null);
+});
+
+test("parseHoursString splits shifts and carries overnight ranges past midnight", () => {
+  assert.deepEqual(parseHoursString("9:00-22:00"), [{ start: 540, end: 1320 }]);
+  assert.deepEqual(parseHoursString("11:30-14:30, 17:00-23:00"), [
+    { start: 690, end: 870 },
+    { start: 1020, end: 1380 },
+  ]);
+  assert.deepEqual(parseHoursString("11am-3pm; 6pm to 11pm"), [
+    { start: 660, end: 900 },
+    { start: 1080, end: 1380 },
+  ]);
+  assert.deepEqual(parseHoursString("18:00-02:00"), [{ start: 1080, end: 1560 }]);
+  assert.deepEqual(parseHoursString("18:00-24:00"), [{ start: 1080, end: 1440 }]);
+});
+
+test("parseHoursString returns no ranges for closed, empty or unparseable days", () => {
+  assert.deepEqual(parseHoursString("closed"), []);
+  assert.deepEqual(parseHoursString(" Closed "), []);
+  assert.deepEqual(parseHoursString(""), []);
+  assert.deepEqual(parseHoursString(undefined), []);
+  assert.deepEqual(parseHoursString("whenever"), []);
+  assert.deepEqual(parseHoursString("24:00-02:00"), []); // cannot open at midnight of the next day
+});
+
+test("generateSlots steps through each shift up to the last seating", () => {
+  const r = restaurant({ friday: "11:30-14:30, 17:00-19:00" });
+  assert.deepEqual(generateSlots(r, FRIDAY), ["11:30", "12:00", "12:30", "13:00", "13:30", "17:00", "17:30", "18:00"]);
+});
+
+test("generateSlots moves the after-midnight part of an overnight range to the next day", () => {
+  const r = restaurant({ friday: "22:00-02:00", saturday: "12:00-14:00" });
+  assert.deepEqual(generateSlots(r, FRIDAY), ["22:00", "22:30", "23:00", "23:30"]);
+  assert.deepEqual(generateSlots(r, SATURDAY), ["00:00", "00:30", "01:00", "12:00", "12:30", "13:00"]);
+});
+
+test("generateSlots ends a 24:00 close on the same day", () => {
+  const r = restaurant({ friday: "22:00-24:00" });
+  assert.deepEqual(generateSlots(r, FRIDAY), ["22:00", "22:30", "23:00"]);
+  assert.deepEqual(generateSlots(r, SATURDAY), []);
+});
+
+test("generateSlots honours closures and special hours, including the previous day's spill-over", () => {
+  const r = restaurant(
+    { friday: "22:00-02:00", saturday: "12:00-14:00" },
+    { dateExceptions: [{ date: FRIDAY, hours: "20:00-21:30" }] }
+  );
+  assert.deepEqual(generateSlots(r, FRIDAY), ["20:00", "20:30"]);
+  assert.deepEqual(generateSlots(r, SATURDAY), ["12:00", "12:30", "13:00"]); // no overnight tail from Friday
+
+  const closedSaturday = restaurant(
+    { friday: "22:00-02:00", saturday: "12:00-14:00" },
+    { dateExceptions: [{ date: SATURDAY, closed: true }] }
+  );
+  assert.deepEqual(generateSlots(closedSaturday, SATURDAY), []);
+});
+
+test("isBookableSlot accepts only generated slots, in any time format", () => {
+  const r = restaurant({ friday: "22:00-02:00", saturday: "12:00-14:00" });
+  assert.equal(isBookableSlot(r, FRIDAY, "22:30"), true);
+  assert.equal(isBookableSlot(r, FRIDAY, "10:30pm"), true);
+  assert.equal(isBookableSlot(r, SATURDAY, "1am"), true); // Friday's overnight range
+  assert.equal(isBookableSlot(r, SATURDAY, "01:30"), false); // inside the last seating
+  assert.equal(isBookableSlot(r, FRIDAY, "22:15"), false); // between slots
+  assert.equal(isBookableSlot(r, FRIDAY, "12:00"), false);
+  assert.equal(isBookableSlot(r, "2026-02-30", "22:00"), false);
+  assert.equal(isBookableSlot(r, FRIDAY, "24:00"), false);
+});
+
+test("isBookableSlot allows any time without configured hours, except on closed dates", () => {
+  const r = restaurant({}, { dateExceptions: [{ date: SATURDAY, closed: true }] });
+  assert.equal(isBookableSlot(r, FRIDAY, "03:17"), true);
+  assert.equal(isBookableSlot(r, SATURDAY, "19:00"), false);
+
+  const special = restaurant({}, { dateExceptions: [{ date: FRIDAY, hours: "18:00-20:00" }] });
+  assert.equal(isBookableSlot(special, FRIDAY, "18:30"), true);
+  assert.equal(isBookableSlot(special, FRIDAY, "17:00"), false);
+});
@@ -0,0 +1,52 @@
+// test/time.test.js
+// Restaurant-local date/time -> instant conversion (utils/time.js) across both DST switches of
+// America/New_York in 2026: spring forward on March 8 (02:00 -> 03:00), fall back on November 1
+// (02:00 -> 01:00).
+//   npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utcToZoned, zonedTimeToUtc } from "../utils/time.js";
+
+const TZ = "America/New_York";
+
+const utc = (date, time) => zonedTimeToUtc(date, time, TZ).toISOString();
+
+test("times around the spring-forward switch use the offset in force", () => {
+  assert.equal(utc("2026-03-07", "19:00"), "2026-03-08T00:00:00.000Z"); // EST, UTC-5
+  assert.equal(utc("2026-03-08", "01:59"), "2026-03-08T06:59:00.000Z");
+  assert.equal(utc("2026-03-08", "03:00"), "2026-03-08T07:00:00.000Z"); // EDT, UTC-4
+  assert.equal(utc("2026-03-08", "19:00"), "2026-03-08T23:00:00.000Z");
+});
+
+test("local times skipped by the spring-forward gap move forward by the gap", () => {
+  assert.equal(utc("2026-03-08", "02:00"), "2026-03-08T07:00:00.000Z"); // 03:00 EDT
+  assert.equal(utc("2026-03-08", "02:30"), "2026-03-08T07:30:00.000Z"); // 03:30 EDT
+  assert.deepEqual(utcToZoned(new Date(utc("2026-03-08", "02:30")), TZ), { date: "2026-03-08", time: "03:30" });
+});
+
+test("times around the fall-back switch use the offset in force", () => {
+  assert.equal(utc("2026-10-31", "19:00"), "2026-10-31T23:00:00.000Z"); // EDT, UTC-4
+  assert.equal(utc("2026-11-01", "00:30"), "2026-11-01T04:30:00.000Z");
+  assert.equal(utc("2026-11-01", "02:00"), "2026-11-01T07:00:00.000Z"); // EST, UTC-5
+  assert.equal(utc("2026-11-01", "19:00"), "2026-11-02T00:00:00.000Z");
+});
+
+test("ambiguous fall-back times resolve to the first occurrence", () => {
+  // 01:00-01:59 happens twice: 05:xx UTC (EDT) and again 06:xx UTC (EST)
+  assert.deepEqual(utcToZoned(new Date("2026-11-01T05:30:00Z"), TZ), { date: "2026-11-01", time: "01:30" });
+  assert.deepEqual(utcToZoned(new Date("2026-11-01T06:30:00Z"), TZ), { date: "2026-11-01", time: "01:30" });
+
+  assert.equal(utc("2026-11-01", "01:00"), "2026-11-01T05:00:00.000Z");
+  assert.equal(utc("2026-11-01", "01:30"), "2026-11-01T05:30:00.000Z");
+  assert.equal(utc("2026-11-01", "01:59"), "2026-11-01T05:59:00.000Z");
+});
+
+test("every existing local time round-trips on both switch dates", () => {
+  for (const date of ["2026-03-08", "2026-11-01"]) {
+    for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+      if (date === "2026-03-08" && time.startsWith("02:")) continue; // does not exist that night
+      assert.deepEqual(utcToZoned(zonedTimeToUtc(date, time, TZ), TZ), { date, time }, `${date} ${time}`);
+    }
+  }
+});
@@ -0,0 +1,84 @@
+// utils/cancellationPolicy.js
+// Per-restaurant cancellation / modification rules, applied to guest-initiated changes only
+// (owners and admins can always cancel or move a booking).
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  freeCancelHours: 0, // cancelling closer than this to the start is a late cancel (0 = always free)
+  lateCancelFee: 0, // amount charged for a late cancel (0 = none)
+  noModifyWithinHours: 0, // guests cannot reschedule / resize closer than this to the start (0 = any time)
+  lateCancelRefundPercent: 100, // share of a paid deposit (after the fee) refunded on a late cancel
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Fill missing values with defaults (restaurants created before the policy existed have none)
+ */
+export const normalizePolicy = (policy) => {
+  const out = { ...DEFAULT_CANCELLATION_POLICY };
+  for (const key of Object.keys(out)) {
+    const n = Number(policy?.[key]);
+    if (Number.isFinite(n) && n >= 0) out[key] = n;
+  }
+  return out;
+};
+
+/**
+ * Validate a policy payload. Returns { value } or { error }
+ */
+export const parsePolicy = (raw = {}) => {
+  const value = {};
+  for (const key of Object.keys(DEFAULT_CANCELLATION_POLICY)) {
+    if (raw[key] === undefined || raw[key] === "") continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `Invalid ${key}` };
+    if (key === "lateCancelRefundPercent" && n > 100) return { error: `Invalid ${key}` };
+    value[key] = n;
+  }
+  return { value };
+};
+
+/**
+ * Can a guest cancel a reservation starting at startAt, and what does it cost?
+ * refundPercent is the share of a paid deposit (left after the fee) that goes back to the guest.
+ *
+ * @returns {{ allowed: boolean, late: boolean, fee: number, refundPercent: number, reason?: string }}
+ */
+export const evaluateCancellation = (policy, startAt, now = new Date()) => {
+  const p = normalizePolicy(policy);
+  const msLeft = new Date(startAt).getTime() - now.getTime();
+  if (!(msLeft > 0)) {
+    return {
+      allowed: false,
+      late: true,
+      fee: 0,
+      refundPercent: 0,
+      reason: "Reservation has already started and can no longer be cancelled",
+    };
+  }
+  const late = p.freeCancelHours > 0 && msLeft < p.freeCancelHours * HOUR_MS;
+  return {
+    allowed: true,
+    late,
+    fee: late ? p.lateCancelFee : 0,
+    refundPercent: late ? Math.min(p.lateCancelRefundPercent, 100) : 100,
+  };
+};
+
+/**
+ * Can a guest still change date / time / party size?
+ *
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export const evaluateModification = (policy, startAt, now = new Date()) => {
+  const p = normalizePolicy(policy);
+  const msLeft = new Date(startAt).getTime() - now.getTime();
+  if (!(msLeft > 0)) return { allowed: false, reason: "Reservation has already started" };
+  if (p.noModifyWithinHours > 0 && msLeft < p.noModifyWithinHours * HOUR_MS) {
+    return {
+      allowed: false,
+      reason: `Reservations cannot be changed within ${p.noModifyWithinHours} hours of the start time`,
+    };
+  }
+  return { allowed: true };
+};
@@ -0,0 +1,86 @@
+// utils/csv.js
+// RFC 4180-style CSV writer / parser for reservation export and import.
+
+// spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a cell when needed; formula-looking text is prefixed with ' so it stays text
+ */
+export const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows (objects) -> CSV text with a header line.
+ *
+ * @param {Array<Object>} rows
+ * @param {Array<string|{ key: string, header?: string }>} columns order of the output columns
+ */
+export const toCsv = (rows, columns) => {
+  const cols = columns.map((c) => (typeof c === "string" ? { key: c, header: c } : { header: c.key, ...c }));
+  const lines = [cols.map((c) => escapeCell(c.header)).join(",")];
+  for (const row of rows) lines.push(cols.map((c) => escapeCell(row[c.key])).join(","));
+  return lines.join("\r\n") + "\r\n";
+};
+
+/**
+ * CSV text -> array of { line, cells } (cells are strings). Handles quoted cells, escaped quotes,
+ * CRLF / LF line ends and a leading UTF-8 BOM. Blank lines are skipped; line is the 1-based
+ * line of the file the row starts on, so it stays right after skipped lines and quoted line breaks.
+ */
+export const parseCsvRows = (text) => {
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+      // line break inside a quoted cell (CRLF counts once)
+      if (ch === "\n" || (ch === "\r" && input[i + 1] !== "\n")) line++;
+      continue;
+    }
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      line++;
+      row.push(cell);
+      if (row.some((c) => c !== "")) rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = "";
+      rowLine = line;
+    } else cell += ch;
+  }
+  row.push(cell);
+  if (row.some((c) => c !== "")) rows.push({ line: rowLine, cells: row });
+  return rows;
+};
+
+/**
+ * CSV text with a header line -> { rows, lines }: objects keyed by the (trimmed) header names, and the
+ * file line each one came from (for error reports)
+ */
+export const parseCsv = (text) => {
+  const [header = { cells: [] }, ...records] = parseCsvRows(text);
+  const keys = header.cells.map((h) => h.trim());
+  return {
+    rows: records.map(({ cells }) => Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? "").trim()]))),
+    lines: records.map((r) => r.line),
+  };
+};
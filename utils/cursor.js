@@ -0,0 +1,44 @@
+// utils/cursor.js
+// Opaque keyset cursors over (startAt, _id) for paginating reservation lists.
+// Rows without startAt (not yet backfilled) sort like MongoDB sorts them: before every date
+// ascending, after every date descending, ordered by _id among themselves.
+
+/**
+ * Encode the last item of a page as a cursor string
+ */
+export const encodeCursor = (doc) =>
+  Buffer.from(JSON.stringify({ s: doc.startAt ? new Date(doc.startAt).toISOString() : null, id: doc._id.toString() })).toString(
+    "base64url"
+  );
+
+/**
+ * Decode a cursor string; null when malformed. startAt is null for a row without one.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!id || s === undefined) return null;
+    if (s === null) return { startAt: null, id };
+    const startAt = new Date(s);
+    return isNaN(startAt) ? null : { startAt, id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Mongo filter for "items after the cursor" in a (startAt, _id) sort of the given direction
+ *
+ * @param {{ startAt: Date|null, id: string }} cursor decoded cursor
+ * @param {1|-1} direction sort direction
+ */
+export const cursorFilter = ({ startAt, id }, direction = 1) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  // { startAt: null } also matches a missing field, which sorts the same
+  if (startAt === null) {
+    const sameNull = { startAt: null, _id: { [op]: id } };
+    return direction === 1 ? { $or: [sameNull, { startAt: { $ne: null } }] } : sameNull;
+  }
+  const after = [{ startAt: { [op]: startAt } }, { startAt, _id: { [op]: id } }];
+  return { $or: direction === 1 ? after : [...after, { startAt: null }] };
+};
@@ -0,0 +1,91 @@
+// utils/deposits.js
+// Deposit amounts computed on the server from the restaurant's depositRules.
+// Rules are checked in order and the first match wins (like turnTimeRules):
+//   { kind: "flat", amount }                      fixed amount per booking
+//   { kind: "per_person", amount }                amount x partySize
+//   { kind: "percent_preorder", percent }         share of the reservation's pre-order total
+// optionally narrowed by days ["friday", "saturday"] and minPartySize / maxPartySize.
+import { DAYS, weekdayOf } from "./hours.js";
+
+export const DEPOSIT_RULE_KINDS = ["flat", "per_person", "percent_preorder"];
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "usd").toLowerCase();
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validate a rules payload. Returns { value } or { error }
+ */
+export const parseDepositRules = (raw) => {
+  if (!Array.isArray(raw)) return { error: "depositRules must be an array" };
+  const value = [];
+  for (const [i, r] of raw.entries()) {
+    const kind = r?.kind || "flat";
+    if (!DEPOSIT_RULE_KINDS.includes(kind)) return { error: `depositRules[${i}]: invalid kind ${kind}` };
+
+    const rule = { kind };
+    if (kind === "percent_preorder") {
+      const percent = Number(r.percent);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) return { error: `depositRules[${i}]: invalid percent` };
+      rule.percent = percent;
+    } else {
+      const amount = Number(r.amount);
+      if (!Number.isFinite(amount) || amount < 0) return { error: `depositRules[${i}]: invalid amount` };
+      rule.amount = amount;
+    }
+
+    if (r.days !== undefined) {
+      const days = (Array.isArray(r.days) ? r.days : String(r.days).split(",")).map((d) => String(d).trim().toLowerCase());
+      if (days.some((d) => !DAYS.includes(d))) return { error: `depositRules[${i}]: invalid days` };
+      rule.days = days;
+    }
+    for (const k of ["minPartySize", "maxPartySize"]) {
+      if (r[k] === undefined || r[k] === null || r[k] === "") continue;
+      const n = Number(r[k]);
+      if (!Number.isInteger(n) || n < 1) return { error: `depositRules[${i}]: invalid ${k}` };
+      rule[k] = n;
+    }
+    value.push(rule);
+  }
+  return { value };
+};
+
+/**
+ * First rule that applies to a booking, or null
+ */
+export const matchDepositRule = (rules = [], { date, partySize }) => {
+  const day = date ? weekdayOf(date) : null;
+  const size = Number(partySize) || 1;
+  return (
+    rules.find(
+      (r) =>
+        (!r.days?.length || (day && r.days.includes(day))) &&
+        size >= (r.minPartySize || 1) &&
+        (!r.maxPartySize || size <= r.maxPartySize)
+    ) || null
+  );
+};
+
+/**
+ * Deposit due for a (possibly not yet created) reservation.
+ * A deposit set on the reservation itself (accepted large-party request, guest reputation rule)
+ * is a minimum: the larger of it and the matching rule is charged.
+ *
+ * @param {Object} restaurant with depositRules, currency
+ * @param {{ date, partySize, depositAmount?, preOrder?: { total } }} reservation
+ * @returns {{ amount: number, currency: string, rule: Object|null, required: number }}
+ */
+export const computeDeposit = (restaurant, reservation) => {
+  const rule = matchDepositRule(restaurant?.depositRules || [], reservation);
+  let fromRule = 0;
+  if (rule?.kind === "flat") fromRule = rule.amount;
+  else if (rule?.kind === "per_person") fromRule = rule.amount * (Number(reservation.partySize) || 1);
+  else if (rule?.kind === "percent_preorder") fromRule = ((Number(reservation.preOrder?.total) || 0) * rule.percent) / 100;
+
+  const required = Number(reservation.depositAmount) || 0;
+  return {
+    amount: round2(Math.max(fromRule, required)),
+    currency: (restaurant?.currency || DEFAULT_CURRENCY).toLowerCase(),
+    rule,
+    required,
+  };
+};
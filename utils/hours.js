@@ -0,0 +1,185 @@
+// utils/hours.js
+// Parse Restaurant.hours strings ("9:00-22:00", "11:30-14:30, 17:00-23:00", "18:00-02:00", "closed")
+// and turn them into bookable "HH:MM" slots.
+
+export const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+export const DEFAULT_SLOT_INTERVAL = 30; // minutes between slots
+export const DEFAULT_LAST_SEATING = 60; // last slot is this many minutes before closing
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse "9", "9:30", "09:30", "9pm", "9:30 PM", "21.30" into minutes since midnight.
+ * Returns null for anything unparseable.
+ */
+export const parseTime = (value) => {
+  if (value === undefined || value === null) return null;
+  const m = String(value).trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = m[2] ? Number(m[2]) : 0;
+  if (minutes > 59) return null;
+  if (m[3]) {
+    if (hours < 1 || hours > 12) return null;
+    if (m[3] === "am" && hours === 12) hours = 0;
+    if (m[3] === "pm" && hours !== 12) hours += 12;
+  }
+  // "24:00" is accepted as a closing time (midnight)
+  if (hours > 24 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * minutes since midnight -> "HH:MM" (wraps past midnight)
+ */
+export const formatTime = (minutes) => {
+  const m = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+};
+
+/**
+ * "7:00" / "7pm" -> "07:00" / "19:00" (null when invalid)
+ */
+export const normalizeTime = (value) => {
+  const minutes = parseTime(value);
+  if (minutes === null || minutes >= MINUTES_PER_DAY) return null;
+  return formatTime(minutes);
+};
+
+/**
+ * True for a real calendar date in YYYY-MM-DD form
+ */
+export const isValidDate = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Shift a YYYY-MM-DD date by n days
+ */
+export const addDays = (date, n) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Weekday key ("monday"...) for a YYYY-MM-DD date
+ */
+export const weekdayOf = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Parse one day's hours string into [{ start, end }] minute ranges.
+ * Split shifts are separated by "," or ";". A range ending at or before its start
+ * runs past midnight (end > 1440). "closed" / empty -> [].
+ */
+export const parseHoursString = (value) => {
+  if (!value || typeof value !== "string") return [];
+  const text = value.trim().toLowerCase();
+  if (!text || text === "closed") return [];
+
+  const ranges = [];
+  for (const part of text.split(/[,;]/)) {
+    const [from, to] = part.split(/\s*(?:-|–|—|\bto\b)\s*/);
+    const start = parseTime(from);
+    let end = parseTime(to);
+    if (start === null || end === null || start >= MINUTES_PER_DAY) continue;
+    if (end <= start) end += MINUTES_PER_DAY; // overnight
+    ranges.push({ start, end });
+  }
+  return ranges;
+};
+
+/**
+ * True when at least one weekday has an hours string set
+ */
+export const hasConfiguredHours = (hours) =>
+  Boolean(hours) && DAYS.some((d) => typeof hours[d] === "string" && hours[d].trim() !== "");
+
+/**
+ * Date exception (closure / special hours / reduced capacity) for a date, if any
+ */
+export const findDateException = (restaurant, date) =>
+  (restaurant.dateExceptions || []).find((e) => e.date === date) || null;
+
+/**
+ * Hour ranges that apply on a date: exception hours win over the weekly schedule
+ */
+const rangesForDate = (restaurant, date) => {
+  const exception = findDateException(restaurant, date);
+  if (exception?.closed) return [];
+  if (exception?.hours) return parseHoursString(exception.hours);
+  return parseHoursString((restaurant.hours || {})[weekdayOf(date)]);
+};
+
+/**
+ * Table limit from a reduced-capacity exception at date/time, or null when none applies
+ */
+export const capacityLimitFor = (restaurant, date, time) => {
+  const exception = findDateException(restaurant, date);
+  if (!exception || typeof exception.capacityLimit !== "number") return null;
+
+  const at = parseTime(time);
+  const from = exception.capacityFrom ? parseTime(exception.capacityFrom) : null;
+  const to = exception.capacityTo ? parseTime(exception.capacityTo) : null;
+  if (at === null) return exception.capacityLimit;
+  if (from !== null && at < from) return null;
+  if (to !== null && at >= to) return null;
+  return exception.capacityLimit;
+};
+
+/**
+ * Generate slot times (in minutes) for a list of ranges.
+ * Slots start at opening, every `interval` minutes, up to closing - lastSeating.
+ */
+const slotsForRanges = (ranges, interval, lastSeating) => {
+  const out = [];
+  for (const { start, end } of ranges) {
+    for (let t = start; t <= end - lastSeating; t += interval) out.push(t);
+  }
+  return out;
+};
+
+/**
+ * Bookable slots ("HH:MM", sorted) for a restaurant on a date.
+ * Includes the after-midnight tail of the previous day's overnight ranges.
+ *
+ * @param {Object} restaurant needs hours, slotIntervalMinutes, lastSeatingMinutes
+ * @param {string} date YYYY-MM-DD
+ */
+export const generateSlots = (restaurant, date) => {
+  if (findDateException(restaurant, date)?.closed) return [];
+
+  const interval = Math.max(5, Number(restaurant.slotIntervalMinutes) || DEFAULT_SLOT_INTERVAL);
+  const lastSeating = Math.max(0, Number(restaurant.lastSeatingMinutes ?? DEFAULT_LAST_SEATING) || 0);
+
+  const today = slotsForRanges(rangesForDate(restaurant, date), interval, lastSeating).filter(
+    (t) => t < MINUTES_PER_DAY
+  );
+  const spill = slotsForRanges(rangesForDate(restaurant, addDays(date, -1)), interval, lastSeating)
+    .filter((t) => t >= MINUTES_PER_DAY)
+    .map((t) => t - MINUTES_PER_DAY);
+
+  return [...new Set([...spill, ...today])].sort((a, b) => a - b).map(formatTime);
+};
+
+/**
+ * True when slots can be generated for a date (weekly hours or an exception with hours)
+ */
+export const hasHoursForDate = (restaurant, date) =>
+  hasConfiguredHours(restaurant.hours) || Boolean(findDateException(restaurant, date)?.hours);
+
+/**
+ * Can a reservation be made at date/time? Restaurants without any hours configured accept any
+ * time, except on dates closed by an exception.
+ */
+export const isBookableSlot = (restaurant, date, time) => {
+  if (!isValidDate(date)) return false;
+  const normalized = normalizeTime(time);
+  if (!normalized) return false;
+  if (findDateException(restaurant, date)?.closed) return false;
+  if (!hasHoursForDate(restaurant, date)) return true;
+  return generateSlots(restaurant, date).includes(normalized);
+};
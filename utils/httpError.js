@@ -0,0 +1,15 @@
+// utils/httpError.js
+// Errors thrown by services carry the HTTP status for the controller to answer with
+// (controllers respond with err.status and err.message, falling back to 500).
+
+/**
+ * Error with an HTTP status attached
+ *
+ * @param {number} status e.g. 400, 404, 409
+ * @param {string} message safe to show to the client
+ */
+export const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
@@ -0,0 +1,131 @@
+// utils/ical.js
+// Minimal iCalendar (RFC 5545) writer for reservation downloads and subscribable feeds.
+// Times are written in UTC from startAt/endAt, so no VTIMEZONE blocks are needed.
+
+const CRLF = "\r\n";
+const PRODID = "-//Restaurant Reservations//Bookings//EN";
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || "restaurant-reservations";
+
+// reservation status -> VEVENT STATUS
+const EVENT_STATUS = {
+  held: "TENTATIVE",
+  pending: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  seated: "CONFIRMED",
+  completed: "CONFIRMED",
+  cancelled: "CANCELLED",
+  no_show: "CANCELLED",
+};
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Date -> "YYYYMMDDTHHMMSSZ"
+ */
+export const formatDateTime = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ */
+export const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines lose one octet to the leading space
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = ch;
+    } else current += ch;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+/**
+ * Stable UID for a reservation, so calendar clients update the same event on every sync
+ */
+export const reservationUid = (reservation) => `reservation-${reservation._id}@${UID_DOMAIN}`;
+
+/**
+ * VEVENT fields for a reservation.
+ *
+ * @param {Object} reservation populated with restaurant (name, location) and, for owners, user
+ * @param {{ forOwner?: boolean, url?: string }} options owner events are titled with the guest name
+ * @returns {Object|null} event, or null when the reservation has no start instant yet
+ */
+export const reservationToEvent = (reservation, { forOwner = false, url } = {}) => {
+  if (!reservation.startAt) return null;
+  const restaurant = reservation.restaurant || {};
+  const guest = reservation.user?.name || reservation.guest?.name || "Guest";
+  const summary = forOwner
+    ? `${guest} (${reservation.partySize})`
+    : `Reservation at ${restaurant.name || "restaurant"}`;
+
+  const description = [
+    `Party of ${reservation.partySize}`,
+    `Status: ${reservation.status}`,
+    forOwner && reservation.guest?.phone ? `Phone: ${reservation.guest.phone}` : null,
+    reservation.area ? `Area: ${reservation.area}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    uid: reservationUid(reservation),
+    sequence: reservation.calendarSequence || 0,
+    start: reservation.startAt,
+    end: reservation.endAt || reservation.startAt,
+    stamp: reservation.updatedAt || new Date(),
+    summary,
+    location: [restaurant.name, restaurant.location].filter(Boolean).join(", "),
+    description,
+    status: EVENT_STATUS[reservation.status] || "TENTATIVE",
+    url,
+  };
+};
+
+const eventLines = (event) =>
+  [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence}`,
+    `DTSTAMP:${formatDateTime(event.stamp)}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.location ? `LOCATION:${escapeText(event.location)}` : null,
+    event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+    `STATUS:${event.status}`,
+    event.url ? `URL:${event.url}` : null,
+    "END:VEVENT",
+  ].filter(Boolean);
+
+/**
+ * Full VCALENDAR text for a list of events (from reservationToEvent; nulls are skipped)
+ *
+ * @param {Array<Object|null>} events
+ * @param {{ name?: string }} options calendar display name
+ */
+export const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    ...events.filter(Boolean).flatMap(eventLines),
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
@@ -0,0 +1,63 @@
+// utils/reservationStatus.js
+// Single source of truth for the reservation lifecycle:
+//   held -> pending -> confirmed -> seated -> completed
+//   (cancelled from held/pending/confirmed, no_show from confirmed)
+import { httpError } from "./httpError.js";
+
+export const RESERVATION_STATUSES = ["held", "pending", "confirmed", "seated", "completed", "cancelled", "no_show"];
+
+export const STATUS_TRANSITIONS = {
+  held: ["pending", "cancelled"], // waitlist offer accepted / released
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["seated", "cancelled", "no_show"],
+  seated: ["completed"],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+// statuses that no longer hold a table
+export const RELEASED_STATUSES = ["cancelled", "no_show"];
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * History entry for a reservation's first status
+ */
+export const initialStatusEntry = (status, by, note) => ({ from: null, to: status, by, note, at: new Date() });
+
+/**
+ * Move a reservation document to a new status and record who did it.
+ * Throws an error with status 400 for unknown statuses or illegal transitions.
+ *
+ * @param {Object} reservation Reservation document (not saved here)
+ * @param {string} to target status
+ * @param {{ by?: ObjectId, note?: string }} meta
+ */
+export const applyStatusChange = (reservation, to, { by, note } = {}) => {
+  const from = reservation.status;
+  if (!RESERVATION_STATUSES.includes(to)) {
+    throw httpError(400, "Invalid status");
+  }
+  if (!canTransition(from, to)) {
+    throw httpError(400, `Cannot change status from ${from} to ${to}`);
+  }
+
+  reservation.status = to;
+  reservation.statusHistory = reservation.statusHistory || [];
+  reservation.statusHistory.push({ from, to, by, note, at: new Date() });
+  return reservation;
+};
+
+/**
+ * Record a change that keeps the status (a move, for instance) in the history: from and to are both
+ * the current status.
+ *
+ * @param {Object} reservation Reservation document (not saved here)
+ * @param {{ by?: ObjectId, note: string }} meta
+ */
+export const recordHistoryNote = (reservation, { by, note } = {}) => {
+  reservation.statusHistory = reservation.statusHistory || [];
+  reservation.statusHistory.push({ from: reservation.status, to: reservation.status, by, note, at: new Date() });
+  return reservation;
+};
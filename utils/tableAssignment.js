@@ -0,0 +1,96 @@
+// utils/tableAssignment.js
+
+// upper bound on how many tables may be pushed together for one party
+export const MAX_COMBINED_TABLES = 3;
+
+const isActive = (t) => t && t.active !== false;
+
+/**
+ * Total seats across a set of tables (uses maxSeats)
+ */
+export const totalSeats = (tables) => tables.reduce((sum, t) => sum + (Number(t.maxSeats) || 0), 0);
+
+/**
+ * Return every k-sized combination of items (small inputs only)
+ */
+const combinations = (items, k, start = 0, acc = [], out = []) => {
+  if (acc.length === k) {
+    out.push(acc.slice());
+    return out;
+  }
+  for (let i = start; i < items.length; i++) {
+    acc.push(items[i]);
+    combinations(items, k, i + 1, acc, out);
+    acc.pop();
+  }
+  return out;
+};
+
+/**
+ * Pick the best set of free tables for a party.
+ * - prefers a single table whose minSeats..maxSeats range fits the party (smallest first)
+ * - otherwise joins up to MAX_COMBINED_TABLES combinable tables from the same area,
+ *   choosing the combination that wastes the fewest seats
+ *
+ * @param {Array} tables restaurant.tables subdocs
+ * @param {number} partySize
+ * @param {{ occupied?: Set<string>, area?: string }} opts occupied = table ids already booked
+ * @returns {Array|null} chosen tables or null if the party cannot be seated
+ */
+export const findTablesForParty = (tables, partySize, { occupied = new Set(), area } = {}) => {
+  const size = Number(partySize);
+  if (!Array.isArray(tables) || !size || size < 1) return null;
+
+  const free = tables.filter(
+    (t) => isActive(t) && !occupied.has(t._id.toString()) && (!area || t.area === area)
+  );
+
+  const singles = free
+    .filter((t) => (t.minSeats || 1) <= size && t.maxSeats >= size)
+    .sort((a, b) => a.maxSeats - b.maxSeats);
+  if (singles.length) return [singles[0]];
+
+  // group combinable tables by area
+  const byArea = new Map();
+  for (const t of free) {
+    if (!t.combinable) continue;
+    const key = t.area || "main";
+    if (!byArea.has(key)) byArea.set(key, []);
+    byArea.get(key).push(t);
+  }
+
+  let best = null;
+  for (const group of byArea.values()) {
+    const maxK = Math.min(MAX_COMBINED_TABLES, group.length);
+    for (let k = 2; k <= maxK; k++) {
+      for (const combo of combinations(group, k)) {
+        const seats = totalSeats(combo);
+        if (seats < size) continue;
+        if (
+          !best ||
+          seats < best.seats ||
+          (seats === best.seats && combo.length < best.tables.length)
+        ) {
+          best = { seats, tables: combo };
+        }
+      }
+    }
+  }
+
+  return best ? best.tables : null;
+};
+
+/**
+ * Normalize table input from request bodies ({label,minSeats,maxSeats,area,combinable,active})
+ */
+export const normalizeTable = (t = {}) => {
+  const out = {};
+  if (t._id) out._id = t._id; // keep ids stable so existing assignments survive a bulk edit
+  if (t.label !== undefined) out.label = String(t.label).trim();
+  if (t.minSeats !== undefined) out.minSeats = Number(t.minSeats);
+  if (t.maxSeats !== undefined) out.maxSeats = Number(t.maxSeats);
+  if (t.area !== undefined) out.area = String(t.area).trim().toLowerCase() || "main";
+  if (t.combinable !== undefined) out.combinable = t.combinable === true || t.combinable === "true";
+  if (t.active !== undefined) out.active = !(t.active === false || t.active === "false");
+  return out;
+};
@@ -0,0 +1,126 @@
+// utils/time.js
+// Local date/time in a restaurant's IANA timezone <-> absolute instants, without extra deps.
+import { normalizeTime } from "./hours.js";
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+
+/**
+ * True for IANA zone names the runtime knows ("Europe/Paris", "America/New_York", "UTC")
+ */
+export const isValidTimeZone = (tz) => {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const partsFormatter = (tz) => {
+  if (!formatters.has(tz)) {
+    formatters.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: tz,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(tz);
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+const zonedParts = (instant, tz) => {
+  const parts = {};
+  for (const p of partsFormatter(tz).formatToParts(instant)) parts[p.type] = p.value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+/**
+ * Offset (ms) of a timezone from UTC at a given instant
+ */
+const offsetAt = (instant, tz) => {
+  const p = zonedParts(instant, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * "YYYY-MM-DD" + "HH:MM" in `tz` -> Date (absolute instant).
+ * Handles DST: ambiguous fall-back times resolve to the first occurrence, local times skipped
+ * by a spring-forward gap move forward by the length of the gap (02:30 -> 03:30).
+ */
+export const zonedTimeToUtc = (date, time, tz = DEFAULT_TIMEZONE) => {
+  const [y, mo, d] = String(date).split("-").map(Number);
+  const [h, mi] = String(time).split(":").map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  if (isNaN(guess)) return null;
+
+  // the offset can differ between the guess and the answer around DST switches: try both
+  const first = offsetAt(new Date(guess), tz);
+  const second = offsetAt(new Date(guess - first), tz);
+  const candidates = [guess - first, guess - second];
+
+  const wanted = `${String(h).padStart(2, "0")}:${String(mi).padStart(2, "0")}`;
+  const exact = candidates.find((c) => utcToZoned(new Date(c), tz).time === wanted);
+  return new Date(exact ?? Math.max(...candidates));
+};
+
+/**
+ * Date -> { date: "YYYY-MM-DD", time: "HH:MM" } in `tz`
+ */
+export const utcToZoned = (instant, tz = DEFAULT_TIMEZONE) => {
+  const p = zonedParts(instant, tz);
+  const pad = (n) => String(n).padStart(2, "0");
+  return { date: `${p.year}-${pad(p.month)}-${pad(p.day)}`, time: `${pad(p.hour)}:${pad(p.minute)}` };
+};
+
+/**
+ * Today's date ("YYYY-MM-DD") in a timezone
+ */
+export const todayIn = (tz = DEFAULT_TIMEZONE) => utcToZoned(new Date(), tz).date;
+
+/**
+ * Accept "2025-3-7", "2025-03-07" or an ISO datetime and return "YYYY-MM-DD" (null when invalid)
+ */
+export const normalizeDate = (value) => {
+  if (value === undefined || value === null) return null;
+  const m = String(value).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|T)/);
+  if (!m) return null;
+  const out = `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  const check = new Date(`${out}T00:00:00Z`);
+  return !isNaN(check) && check.toISOString().slice(0, 10) === out ? out : null;
+};
+
+/**
+ * Timezone of a restaurant (falls back to DEFAULT_TIMEZONE)
+ */
+export const restaurantTimeZone = (restaurant) =>
+  isValidTimeZone(restaurant?.timezone) ? restaurant.timezone : DEFAULT_TIMEZONE;
+
+/**
+ * Canonical start instant of a booking at a restaurant's local date/time
+ */
+export const localToInstant = (restaurant, date, time) => {
+  const d = normalizeDate(date);
+  const t = normalizeTime(time);
+  if (!d || !t) return null;
+  return zonedTimeToUtc(d, t, restaurantTimeZone(restaurant));
+};